@@ -101,6 +101,10 @@
 #define DEVICE_ID "esp32_001"
 #endif
 
+#ifndef FW_VERSION
+#define FW_VERSION "1.0.0"
+#endif
+
 const int mqtt_port = MQTT_PORT;
 const char *deviceId = DEVICE_ID;
 
@@ -378,18 +382,22 @@ void publishStatus(const char *reason)
   String payload = "{";
   payload += "\"deviceId\":\"" + String(deviceId) + "\",";
   payload += "\"reason\":\"" + String(reason) + "\",";
+  payload += "\"fw\":\"" + String(FW_VERSION) + "\",";
   payload += "\"ip\":\"" + WiFi.localIP().toString() + "\",";
   payload += "\"rssi\":" + String(WiFi.RSSI()) + ",";
+  payload += "\"uptime\":" + String((uint32_t)(millis() / 1000)) + ",";
   payload += "\"relay\":[" + String(relay1State) + "," + String(relay3State) + "]";
   payload += "}";
   client.publish(topicStatus.c_str(), payload.c_str(), true);
 }
 
-void publishAck(const char *info)
+void publishAck(const char *info, const String &cmdId = "")
 {
   String payload = "{";
   payload += "\"deviceId\":\"" + String(deviceId) + "\",";
   payload += "\"info\":\"" + String(info) + "\",";
+  if (cmdId.length())
+    payload += "\"id\":\"" + cmdId + "\",";
   payload += "\"relay\":[" + String(relay1State) + "," + String(relay3State) + "]";
   payload += "}";
   client.publish(topicAck.c_str(), payload.c_str());
@@ -403,7 +411,7 @@ void callback(char *topic, byte *message, unsigned int length)
   for (unsigned int i = 0; i < length; i++)
     msg += (char)message[i];
 
-  // Expected JSON: {"ch":1,"state":1} OR {"ch":3,"state":0}
+  // Expected JSON: {"id":"a1b2c3","ch":1,"state":1} OR {"ch":3,"state":0}
   int chPos = msg.indexOf("\"ch\":");
   int stPos = msg.indexOf("\"state\":");
   if (chPos == -1 || stPos == -1)
@@ -415,9 +423,20 @@ void callback(char *topic, byte *message, unsigned int length)
   if ((ch != 1 && ch != 3) || (st != 0 && st != 1))
     return;
 
+  // Optional command ID; echoed in the ack so the backend can confirm it
+  String cmdId;
+  int idPos = msg.indexOf("\"id\":\"");
+  if (idPos != -1)
+  {
+    int idStart = idPos + 6;
+    int idEnd = msg.indexOf('"', idStart);
+    if (idEnd > idStart && idEnd - idStart <= 32)
+      cmdId = msg.substring(idStart, idEnd);
+  }
+
   applyRelay(ch, st);
 
-  publishAck("cmd_applied");
+  publishAck("cmd_applied", cmdId);
   publishStatus("relay_changed");
 
   Serial.printf("Relay updated: ch=%d state=%d\n", ch, st);
@@ -539,7 +558,9 @@ static bool tryConnectMQTTOnce()
   Serial.print("[MQTT] Connecting...");
   String clientId = String(deviceId) + "_" + String((uint32_t)ESP.getEfuseMac(), HEX);
 
-  bool ok = client.connect(clientId.c_str());
+  // Last Will: broker publishes this (retained) if we drop off without a clean disconnect
+  String willPayload = String("{\"deviceId\":\"") + deviceId + "\",\"reason\":\"offline\"}";
+  bool ok = client.connect(clientId.c_str(), topicStatus.c_str(), 1, true, willPayload.c_str());
   if (ok)
   {
     Serial.println("connected");
@@ -0,0 +1,22 @@
+// Service worker for browser push: shows what the backend sends via
+// /api/notify and focuses the dashboard when a notification is clicked.
+self.addEventListener("push", (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title || "GridSense", {
+      body: data.body || "",
+      tag: data.tag || undefined,
+    }),
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((list) =>
+        list.length ? list[0].focus() : self.clients.openWindow("/"),
+      ),
+  );
+});
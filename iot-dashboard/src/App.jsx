@@ -1,5 +1,6 @@
-import { useEffect, useMemo, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import axios from "axios";
+import { io } from "socket.io-client";
 import { API_BASE, DEVICE_ID } from "./config";
 import "./App.css";
 
@@ -17,6 +18,7 @@ import {
   Pie,
   Legend,
   Cell,
+  ReferenceLine,
 } from "recharts";
 
 function numOrNull(x) {
@@ -87,31 +89,16 @@ function formatTime(ms) {
   }
 }
 
+// History bucket size requested for a timeframe (minutes)
+function historyBucketSec(tf) {
+  return tf >= 1440 ? 60 : tf >= 360 ? 16 : 2;
+}
+
 function clampNum(x, digits = 2) {
   if (typeof x !== "number" || Number.isNaN(x)) return "—";
   return x.toFixed(digits);
 }
 
-function normalizeSchedule(s) {
-  return {
-    enabled: !!s?.enabled,
-    invert: !!s?.invert,
-    on: s?.on || "00:00",
-    off: s?.off || "00:00",
-  };
-}
-
-function schedulesEqual(a, b) {
-  const A = normalizeSchedule(a);
-  const B = normalizeSchedule(b);
-  return (
-    A.enabled === B.enabled &&
-    A.invert === B.invert &&
-    A.on === B.on &&
-    A.off === B.off
-  );
-}
-
 function normalizeCutoff(c) {
   return {
     enabled: !!c?.enabled,
@@ -125,356 +112,1262 @@ function cutoffsEqual(a, b) {
   return A.enabled === B.enabled && A.limitmWh === B.limitmWh;
 }
 
-function RelayCardBackend({
-  ch,
-  label,
-  isOn,
-  disabled,
-  onToggle,
+// Display name / icon for a relay channel, from the device registry
+function channelLabel(device, ch) {
+  const c = device?.channels?.find((x) => x.ch === ch);
+  return c?.label || (ch === 1 ? "Load-1" : "Load-2");
+}
 
-  // timer
-  timerVal,
-  setTimerVal,
-  onStartTimer,
-  timerRemainingSec,
-  onCancelTimer,
-  timerMode,
+function channelIcon(device, ch) {
+  const c = device?.channels?.find((x) => x.ch === ch);
+  return c?.icon || "";
+}
 
-  // schedule
-  schedule,
-  setSchedule,
-  onApplySchedule,
-  onScheduleFocus,
-  scheduleServer,
-  scheduleSavedAt,
-  onCancelSchedule,
+const SCHEDULE_DEFAULT = {
+  name: "",
+  enabled: true,
+  kind: "window",
+  on: "18:00",
+  off: "23:00",
+  invert: false,
+  cron: "",
+  state: 1,
+  days: [],
+  startDate: "",
+  endDate: "",
+  priority: 0,
+  onEvent: "",
+  onOffsetMin: 0,
+  offEvent: "",
+  offOffsetMin: 0,
+};
+
+// "18:00" or "sunset+15" / "sunrise−10"
+function scheduleTimeLabel(s, which) {
+  const event = s[`${which}Event`];
+  if (!event) return s[which];
+  const off = s[`${which}OffsetMin`] || 0;
+  return off ? `${event}${off > 0 ? "+" : "−"}${Math.abs(off)}` : event;
+}
 
-  // cutoff
-  cutoff,
-  setCutoff,
-  onApplyCutoff,
-  cutoffServer,
-  cutoffSavedAt,
-  onCutoffFocus,
-  onCancelCutoff,
-}) {
-  const enabled = !!schedule?.enabled;
-  const saved = scheduleServer
-    ? schedulesEqual(schedule, scheduleServer)
-    : true;
-  const onLabel = schedule?.invert ? "OFF" : "ON";
-  const offLabel = schedule?.invert ? "ON" : "OFF";
-  const cutoffEnabled = !!cutoff?.enabled;
-  const cutoffSaved = cutoffServer ? cutoffsEqual(cutoff, cutoffServer) : true;
-  const appliedLimit =
-    typeof cutoffServer?.limitmWh === "number" ? cutoffServer.limitmWh : null;
+function scheduleDaysLabel(days) {
+  const d = [...(days || [])].sort().join(",");
+  if (!d) return "Daily";
+  if (d === "1,2,3,4,5") return "Weekdays";
+  if (d === "0,6") return "Weekends";
+  return days.map((x) => WEEKDAY_LABELS[x]).join(", ");
+}
 
-  const usedmWh =
-    typeof cutoffServer?.consumedmWh === "number"
-      ? cutoffServer.consumedmWh
-      : typeof cutoff?.consumedmWh === "number"
-        ? cutoff.consumedmWh
-        : 0;
+function describeSchedule(s) {
+  const what =
+    s.kind === "cron"
+      ? `${s.state ? "ON" : "OFF"} at "${s.cron}"`
+      : `${s.invert ? "OFF" : "ON"} ${scheduleTimeLabel(s, "on")} → ${scheduleTimeLabel(s, "off")}`;
+  const range =
+    s.startDate || s.endDate
+      ? ` • ${s.startDate || "…"} – ${s.endDate || "…"}`
+      : "";
+  const prio = s.priority ? ` • priority ${s.priority}` : "";
+  const zone = s.tz && s.tz !== browserTimeZone() ? ` • ${s.tz}` : "";
+  return `${scheduleDaysLabel(s.days)} ${what}${range}${prio}${zone}`;
+}
+
+// List editor for a channel's schedule entries; drafts stay local so
+// automation pushes never overwrite an entry being edited
+function ScheduleList({ ch, schedules, disabled, onSave, onDelete }) {
+  const [draft, setDraft] = useState(null);
+  const set = (key, value) => setDraft((d) => ({ ...d, [key]: value }));
+
+  const save = async () => {
+    if (await onSave(ch, draft)) setDraft(null);
+  };
 
   return (
-    <div className="loadCard">
-      <div className="loadHeader">
-        <div>
-          <div className="loadTitle">{label}</div>
-          <div className="small">
-            Relay channel <b>{ch}</b>
+    <>
+      {schedules.length === 0 && !draft ? (
+        <div className="small">No schedules.</div>
+      ) : (
+        schedules.map((s) => (
+          <div key={s._id} className="scheduleEntry">
+            <label className="check">
+              <input
+                type="checkbox"
+                checked={!!s.enabled}
+                onChange={(e) =>
+                  onSave(ch, { _id: s._id, enabled: e.target.checked })
+                }
+                disabled={disabled}
+              />
+            </label>
+            <div className="scheduleEntryText">
+              {s.name ? <b>{s.name}: </b> : null}
+              <span className={s.enabled ? "" : "small"}>
+                {describeSchedule(s)}
+              </span>
+              {s.today !== undefined ? (
+                <span className="small">
+                  {" "}
+                  •{" "}
+                  {s.today
+                    ? `today ${s.today.on} → ${s.today.off}`
+                    : "no sunrise/sunset today"}
+                </span>
+              ) : null}
+            </div>
+            <button
+              className="btn ghost"
+              type="button"
+              onClick={() =>
+                setDraft({ ...SCHEDULE_DEFAULT, tz: browserTimeZone(), ...s })
+              }
+              disabled={disabled}
+            >
+              Edit
+            </button>
+            <button
+              className="btn ghost"
+              type="button"
+              title="Delete schedule"
+              onClick={() => onDelete(ch, s._id)}
+              disabled={disabled}
+            >
+              <TrashIcon size={16} />
+            </button>
           </div>
-        </div>
+        ))
+      )}
 
-        <button
-          className={`toggleBtn ${isOn ? "on" : ""}`}
-          onClick={() => onToggle(ch, isOn ? 0 : 1)}
-          disabled={disabled}
-          type="button"
-          title={isOn ? "Turn OFF" : "Turn ON"}
-        >
-          <span className="toggleDot" />
-          <span className="toggleText">{isOn ? "ON" : "OFF"}</span>
-        </button>
-      </div>
+      {draft ? (
+        <div className="faultGroup" style={{ marginTop: 8 }}>
+          <div className="faultRow">
+            <div className="faultField">
+              <div className="small">Name</div>
+              <input
+                className="input"
+                value={draft.name}
+                placeholder="optional"
+                onChange={(e) => set("name", e.target.value)}
+              />
+            </div>
+            <div className="faultField">
+              <div className="small">Type</div>
+              <select
+                className="select"
+                value={draft.kind}
+                onChange={(e) => set("kind", e.target.value)}
+              >
+                <option value="window">Daily window</option>
+                <option value="cron">Cron</option>
+              </select>
+            </div>
+          </div>
 
-      {/* Timer */}
-      <div className="miniSection">
-        <div className="miniTitle">Timed switching</div>
+          {draft.kind === "cron" ? (
+            <div className="faultRow">
+              <div className="faultField">
+                <div className="small">Cron (min hour day month weekday)</div>
+                <input
+                  className="input"
+                  value={draft.cron}
+                  placeholder="30 6 * * 1-5"
+                  onChange={(e) => set("cron", e.target.value)}
+                />
+              </div>
+              <div className="faultField">
+                <div className="small">Switch</div>
+                <select
+                  className="select"
+                  value={draft.state}
+                  onChange={(e) => set("state", Number(e.target.value))}
+                >
+                  <option value={1}>ON</option>
+                  <option value={0}>OFF</option>
+                </select>
+              </div>
+            </div>
+          ) : (
+            <div className="faultRow">
+              {["on", "off"].map((which) => {
+                const event = draft[`${which}Event`] || "";
+                const label =
+                  (which === "on") !== !!draft.invert ? "ON at" : "OFF at";
+                return (
+                  <div key={which} className="faultField">
+                    <div className="small">{label}</div>
+                    <div className="row">
+                      <select
+                        className="select"
+                        value={event}
+                        onChange={(e) => set(`${which}Event`, e.target.value)}
+                      >
+                        <option value="">Fixed time</option>
+                        <option value="sunrise">Sunrise</option>
+                        <option value="sunset">Sunset</option>
+                      </select>
+                      {event ? (
+                        <input
+                          className="input"
+                          type="number"
+                          step={1}
+                          style={{ width: 90 }}
+                          title="Offset in minutes (negative = before)"
+                          value={draft[`${which}OffsetMin`]}
+                          onChange={(e) =>
+                            set(
+                              `${which}OffsetMin`,
+                              Math.trunc(Number(e.target.value)) || 0,
+                            )
+                          }
+                        />
+                      ) : (
+                        <input
+                          className="input"
+                          type="time"
+                          value={draft[which]}
+                          onChange={(e) => set(which, e.target.value)}
+                        />
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+              <label className="check">
+                <input
+                  type="checkbox"
+                  checked={!!draft.invert}
+                  onChange={(e) => set("invert", e.target.checked)}
+                />
+                Reverse (OFF inside the window)
+              </label>
+            </div>
+          )}
 
-        {/* ON FOR row */}
-        <div className="row">
-          <div className="small">Turn OFF after</div>
-        </div>
-        <div className="row">
-          <input
-            className="input"
-            style={{ width: 60 }}
-            type="number"
-            min={0}
-            max={1440}
-            value={timerVal?.onFor?.min ?? ""}
-            onChange={(e) => {
-              const n = e.target.valueAsNumber;
-              setTimerVal((s) => ({
-                ...(s || {
-                  onFor: { min: null, sec: null },
-                  offFor: { min: null, sec: null },
-                }),
-                onFor: {
-                  ...((s && s.onFor) || { min: null, sec: null }),
-                  min: Number.isNaN(n) ? null : Math.max(0, Math.min(1440, n)),
-                },
-              }));
-            }}
-            disabled={disabled}
-          />
-          <div className="small">min</div>
+          <div className="faultField" style={{ marginTop: 8 }}>
+            <div className="small">Days (none = every day)</div>
+            <WeekdayPicker
+              value={draft.days}
+              onChange={(v) => set("days", v)}
+            />
+          </div>
 
-          <input
-            className="input"
-            style={{ width: 60 }}
-            type="number"
-            min={0}
-            max={59}
-            value={timerVal?.onFor?.sec ?? ""}
-            onChange={(e) => {
-              const n = e.target.valueAsNumber;
-              setTimerVal((s) => ({
-                ...(s || {
-                  onFor: { min: null, sec: null },
-                  offFor: { min: null, sec: null },
-                }),
-                onFor: {
-                  ...((s && s.onFor) || { min: null, sec: null }),
-                  sec: Number.isNaN(n) ? null : Math.max(0, Math.min(59, n)),
-                },
-              }));
-            }}
-            disabled={disabled}
-          />
-          <div className="small">sec</div>
+          <div className="faultRow" style={{ marginTop: 8 }}>
+            <div className="faultField">
+              <div className="small">From date</div>
+              <input
+                className="input"
+                type="date"
+                value={draft.startDate}
+                onChange={(e) => set("startDate", e.target.value)}
+              />
+            </div>
+            <div className="faultField">
+              <div className="small">To date</div>
+              <input
+                className="input"
+                type="date"
+                value={draft.endDate}
+                onChange={(e) => set("endDate", e.target.value)}
+              />
+            </div>
+            <div className="faultField">
+              <div className="small">Time zone</div>
+              <TimeZoneInput
+                id={`scheduleTz${ch}`}
+                value={draft.tz}
+                onChange={(v) => set("tz", v)}
+              />
+            </div>
+            <div className="faultField">
+              <div className="small">Priority (higher wins on overlap)</div>
+              <input
+                className="input"
+                type="number"
+                step={1}
+                value={draft.priority}
+                onChange={(e) => set("priority", Number(e.target.value) || 0)}
+              />
+            </div>
+          </div>
 
+          <div className="modalActions">
+            <button
+              className="btn ghost"
+              type="button"
+              onClick={() => setDraft(null)}
+            >
+              Cancel
+            </button>
+            <button
+              className="btn"
+              type="button"
+              onClick={save}
+              disabled={disabled}
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="row">
           <button
-            className="btn"
+            className="btn ghost"
             type="button"
-            onClick={() => onStartTimer(ch, "on_for")}
+            onClick={() =>
+              setDraft({ ...SCHEDULE_DEFAULT, tz: browserTimeZone() })
+            }
             disabled={disabled}
-            title="Turn ON now, then OFF after the duration"
           >
-            Apply
+            Add schedule
           </button>
         </div>
+      )}
+    </>
+  );
+}
 
-        {/* OFF FOR row */}
-        <div className="row" style={{ marginTop: 8 }}>
-          <div className="small">Turn ON after</div>
-        </div>
-        <div className="row">
-          <input
-            className="input"
-            style={{ width: 60 }}
-            type="number"
-            min={0}
-            max={1440}
-            value={timerVal?.offFor?.min ?? ""}
-            onChange={(e) => {
-              const n = e.target.valueAsNumber;
-              setTimerVal((s) => ({
-                ...(s || {
-                  onFor: { min: null, sec: null },
-                  offFor: { min: null, sec: null },
-                }),
-                offFor: {
-                  ...((s && s.offFor) || { min: null, sec: null }),
-                  min: Number.isNaN(n) ? null : Math.max(0, Math.min(1440, n)),
-                },
-              }));
-            }}
-            disabled={disabled}
-          />
-          <div className="small">min</div>
+// Editable copy of the server document (or defaults for the next week)
+function vacationDraft(v) {
+  const now = Date.now();
+  return {
+    enabled: v ? !!v.enabled : true,
+    from: toLocalInput(v?.from ? new Date(v.from).getTime() : now),
+    to: toLocalInput(v?.to ? new Date(v.to).getTime() : now + 7 * 86400000),
+    channels: v?.channels || [1],
+    windows: v?.windows?.length
+      ? v.windows
+      : [{ start: "18:30", end: "23:30" }],
+    mode: v?.mode || "random",
+    onMinutes: v?.onMinutes || { min: 20, max: 90 },
+    offMinutes: v?.offMinutes || { min: 10, max: 45 },
+    jitterMin: v?.jitterMin ?? 15,
+  };
+}
 
-          <input
-            className="input"
-            style={{ width: 60 }}
-            type="number"
-            min={0}
-            max={59}
-            value={timerVal?.offFor?.sec ?? ""}
-            onChange={(e) => {
-              const n = e.target.valueAsNumber;
-              setTimerVal((s) => ({
-                ...(s || {
-                  onFor: { min: null, sec: null },
-                  offFor: { min: null, sec: null },
-                }),
-                offFor: {
-                  ...((s && s.offFor) || { min: null, sec: null }),
-                  sec: Number.isNaN(n) ? null : Math.max(0, Math.min(59, n)),
-                },
-              }));
-            }}
-            disabled={disabled}
-          />
-          <div className="small">sec</div>
+function nextVacationEvent(plan) {
+  const now = Date.now();
+  return (plan || []).find((e) => !e.done && new Date(e.at).getTime() > now);
+}
 
-          <button
-            className="btn"
-            type="button"
-            onClick={() => onStartTimer(ch, "off_for")}
-            disabled={disabled}
-            title="Turn OFF now, then ON after the duration"
-          >
-            Apply
-          </button>
-        </div>
-        <div className="timerStatusWrap">
-          <div className={`chip ${timerRemainingSec > 0 ? "" : "muted"}`}>
-            {timerRemainingSec > 0 ? (
-              timerMode ? (
-                <>
-                  Running: <b>{timerMode}</b> • <b>{timerRemainingSec}s</b>
-                </>
-              ) : (
-                <>
-                  Timer: <b>{timerRemainingSec}s</b>
-                </>
-              )
+function VacationPanel({ device, vacation, disabled, onSave, onDelete }) {
+  const [draft, setDraft] = useState(null); // null => not editing
+  const set = (key, value) => setDraft((d) => ({ ...d, [key]: value }));
+  const setRange = (key, bound, value) =>
+    setDraft((d) => ({ ...d, [key]: { ...d[key], [bound]: Number(value) } }));
+
+  const next = vacation?.active ? nextVacationEvent(vacation.plan) : null;
+  const fmt = (x) =>
+    new Date(x).toLocaleString([], {
+      hour12: false,
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+
+  const save = async () => {
+    const ok = await onSave({
+      ...draft,
+      from: new Date(draft.from).toISOString(),
+      to: new Date(draft.to).toISOString(),
+      tz: browserTimeZone(),
+    });
+    if (ok) setDraft(null);
+  };
+
+  return (
+    <div className="miniSection">
+      <div className="miniTitle">Vacation mode</div>
+
+      <div className="row">
+        <div
+          className={`chip ${vacation?.active ? "warn" : vacation?.enabled ? "" : "muted"}`}
+        >
+          {vacation?.active ? (
+            <>
+              Active until <b>{fmt(vacation.to)}</b> — schedules suspended
+            </>
+          ) : vacation?.enabled && vacation.from ? (
+            <>
+              Planned <b>{fmt(vacation.from)}</b> → <b>{fmt(vacation.to)}</b>
+            </>
+          ) : (
+            <>Off</>
+          )}
+        </div>
+        {next ? (
+          <div className="small">
+            Next: {channelLabel(device, next.ch)} {next.state ? "ON" : "OFF"} at{" "}
+            {new Date(next.at).toLocaleTimeString([], {
+              hour12: false,
+              hour: "2-digit",
+              minute: "2-digit",
+            })}
+          </div>
+        ) : null}
+        {!draft && (
+          <>
+            <button
+              className="btn ghost"
+              type="button"
+              disabled={disabled}
+              onClick={() => setDraft(vacationDraft(vacation))}
+            >
+              {vacation ? "Edit" : "Set up"}
+            </button>
+            {vacation ? (
+              <button
+                className="btn ghost"
+                type="button"
+                disabled={disabled}
+                onClick={onDelete}
+              >
+                {vacation.active ? "End now" : "Remove"}
+              </button>
+            ) : null}
+          </>
+        )}
+      </div>
+
+      {draft ? (
+        <div className="faultGroup" style={{ marginTop: 8 }}>
+          <div className="faultRow">
+            <div className="faultField">
+              <div className="small">From</div>
+              <input
+                className="input"
+                type="datetime-local"
+                value={draft.from}
+                onChange={(e) => set("from", e.target.value)}
+              />
+            </div>
+            <div className="faultField">
+              <div className="small">To</div>
+              <input
+                className="input"
+                type="datetime-local"
+                value={draft.to}
+                onChange={(e) => set("to", e.target.value)}
+              />
+            </div>
+          </div>
+
+          <div className="faultRow" style={{ marginTop: 8 }}>
+            <div className="faultField">
+              <div className="small">Channels</div>
+              <div className="row">
+                {[1, 3].map((ch) => (
+                  <label key={ch} className="check">
+                    <input
+                      type="checkbox"
+                      checked={draft.channels.includes(ch)}
+                      onChange={(e) =>
+                        set(
+                          "channels",
+                          e.target.checked
+                            ? [...draft.channels, ch]
+                            : draft.channels.filter((x) => x !== ch),
+                        )
+                      }
+                    />
+                    {channelLabel(device, ch)}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div className="faultField">
+              <div className="small">Pattern</div>
+              <select
+                className="select"
+                value={draft.mode}
+                onChange={(e) => set("mode", e.target.value)}
+              >
+                <option value="random">Random</option>
+                <option value="replay">Replay a recent week (±jitter)</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="faultField" style={{ marginTop: 8 }}>
+            <div className="small">Active windows</div>
+            {draft.windows.map((w, idx) => (
+              <div key={idx} className="row">
+                {["start", "end"].map((key) => (
+                  <input
+                    key={key}
+                    className="input"
+                    type="time"
+                    style={{ width: 120 }}
+                    value={w[key]}
+                    onChange={(e) =>
+                      set(
+                        "windows",
+                        draft.windows.map((x, i) =>
+                          i === idx ? { ...x, [key]: e.target.value } : x,
+                        ),
+                      )
+                    }
+                  />
+                ))}
+                <button
+                  className="btn ghost"
+                  type="button"
+                  title="Remove window"
+                  disabled={draft.windows.length < 2}
+                  onClick={() =>
+                    set(
+                      "windows",
+                      draft.windows.filter((_, i) => i !== idx),
+                    )
+                  }
+                >
+                  <TrashIcon size={16} />
+                </button>
+              </div>
+            ))}
+            <div className="row">
+              <button
+                className="btn ghost"
+                type="button"
+                onClick={() =>
+                  set("windows", [
+                    ...draft.windows,
+                    { start: "06:00", end: "07:30" },
+                  ])
+                }
+              >
+                Add window
+              </button>
+            </div>
+          </div>
+
+          <div className="faultRow" style={{ marginTop: 8 }}>
+            {draft.mode === "random" ? (
+              <>
+                <div className="faultField">
+                  <div className="small">ON for (min–max minutes)</div>
+                  <div className="row">
+                    <input
+                      className="input"
+                      type="number"
+                      min={1}
+                      value={draft.onMinutes.min}
+                      onChange={(e) =>
+                        setRange("onMinutes", "min", e.target.value)
+                      }
+                    />
+                    <input
+                      className="input"
+                      type="number"
+                      min={1}
+                      value={draft.onMinutes.max}
+                      onChange={(e) =>
+                        setRange("onMinutes", "max", e.target.value)
+                      }
+                    />
+                  </div>
+                </div>
+                <div className="faultField">
+                  <div className="small">OFF for (min–max minutes)</div>
+                  <div className="row">
+                    <input
+                      className="input"
+                      type="number"
+                      min={1}
+                      value={draft.offMinutes.min}
+                      onChange={(e) =>
+                        setRange("offMinutes", "min", e.target.value)
+                      }
+                    />
+                    <input
+                      className="input"
+                      type="number"
+                      min={1}
+                      value={draft.offMinutes.max}
+                      onChange={(e) =>
+                        setRange("offMinutes", "max", e.target.value)
+                      }
+                    />
+                  </div>
+                </div>
+              </>
             ) : (
-              <>No active timer</>
+              <div className="faultField">
+                <div className="small">
+                  Jitter (± minutes; falls back to random without history)
+                </div>
+                <input
+                  className="input"
+                  type="number"
+                  min={0}
+                  value={draft.jitterMin}
+                  onChange={(e) => set("jitterMin", Number(e.target.value))}
+                />
+              </div>
             )}
           </div>
 
-          {timerRemainingSec > 0 && (
+          <div className="modalActions">
+            <label className="check">
+              <input
+                type="checkbox"
+                checked={draft.enabled}
+                onChange={(e) => set("enabled", e.target.checked)}
+              />
+              Enabled
+            </label>
             <button
               className="btn ghost"
               type="button"
-              onClick={() => onCancelTimer(ch)}
-              disabled={disabled}
+              onClick={() => setDraft(null)}
             >
               Cancel
             </button>
+            <button
+              className="btn"
+              type="button"
+              disabled={disabled || !draft.channels.length}
+              onClick={save}
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function loadShedDraft(ls) {
+  const priority = (ch, fallback) =>
+    ls?.channels?.find((c) => c.ch === ch)?.priority ?? fallback;
+  return {
+    enabled: ls ? !!ls.enabled : true,
+    maxPowerW: ls?.maxPowerW ?? "",
+    holdSec: ls?.holdSec ?? 10,
+    restoreHoldSec: ls?.restoreHoldSec ?? 30,
+    hysteresisPct: ls?.hysteresisPct ?? 10,
+    channels: [
+      { ch: 1, priority: priority(1, 2) },
+      { ch: 3, priority: priority(3, 1) },
+    ],
+  };
+}
+
+function LoadShedPanel({
+  device,
+  loadShed,
+  powerW,
+  disabled,
+  onSave,
+  onDelete,
+}) {
+  const [draft, setDraft] = useState(null); // null => not editing
+  const set = (key, value) => setDraft((d) => ({ ...d, [key]: value }));
+  const shed = loadShed?.shed || [];
+  const over =
+    loadShed?.enabled && typeof powerW === "number"
+      ? powerW > loadShed.maxPowerW
+      : false;
+
+  const save = async () => {
+    const ok = await onSave({
+      ...draft,
+      maxPowerW: draft.maxPowerW === "" ? null : Number(draft.maxPowerW),
+      holdSec: Number(draft.holdSec),
+      restoreHoldSec: Number(draft.restoreHoldSec),
+      hysteresisPct: Number(draft.hysteresisPct),
+    });
+    if (ok) setDraft(null);
+  };
+
+  return (
+    <div className="miniSection">
+      <div className="miniTitle">Load shedding</div>
+
+      <div className="row">
+        <div
+          className={`chip ${shed.length || over ? "warn" : loadShed?.enabled ? "" : "muted"}`}
+        >
+          {loadShed?.enabled ? (
+            <>
+              {typeof powerW === "number" ? `${powerW.toFixed(0)} W` : "—"} /{" "}
+              <b>{loadShed.maxPowerW} W</b> cap
+            </>
+          ) : (
+            <>Off</>
           )}
         </div>
+        {shed.length ? (
+          <div className="small">
+            Shed:{" "}
+            {shed
+              .map(
+                (x) =>
+                  `${channelLabel(device, x.ch)} (since ${new Date(x.at).toLocaleTimeString([], { hour12: false, hour: "2-digit", minute: "2-digit" })})`,
+              )
+              .join(", ")}
+          </div>
+        ) : null}
+        {!draft && (
+          <>
+            <button
+              className="btn ghost"
+              type="button"
+              disabled={disabled}
+              onClick={() => setDraft(loadShedDraft(loadShed))}
+            >
+              {loadShed ? "Edit" : "Set up"}
+            </button>
+            {loadShed ? (
+              <button
+                className="btn ghost"
+                type="button"
+                disabled={disabled}
+                onClick={onDelete}
+              >
+                Remove
+              </button>
+            ) : null}
+          </>
+        )}
       </div>
 
-      {/* Schedule */}
-      <div className="miniSection">
-        <div className="miniTitle">Daily schedule </div>
-        <div className="row tahmid">
-          <label className="check">
-            <input
-              type="checkbox"
-              checked={!!schedule.enabled}
-              onChange={(e) =>
-                setSchedule((s) => ({ ...s, enabled: e.target.checked }))
-              }
-              disabled={disabled}
-            />
-            Enable
-          </label>
+      {draft ? (
+        <div className="faultGroup" style={{ marginTop: 8 }}>
+          <div className="faultRow">
+            <div className="faultField">
+              <div className="small">Max combined power (W)</div>
+              <input
+                className="input"
+                type="number"
+                min={1}
+                value={draft.maxPowerW}
+                placeholder="e.g. 1500"
+                onChange={(e) => set("maxPowerW", e.target.value)}
+              />
+            </div>
+            <div className="faultField">
+              <div className="small">Shed after (seconds over)</div>
+              <input
+                className="input"
+                type="number"
+                min={5}
+                value={draft.holdSec}
+                onChange={(e) => set("holdSec", e.target.value)}
+              />
+            </div>
+          </div>
 
-          <label className="check">
-            <input
-              type="checkbox"
-              checked={!!schedule.invert}
-              onChange={(e) =>
-                setSchedule((s) => ({ ...s, invert: e.target.checked }))
-              }
-              disabled={disabled || !schedule.enabled}
-            />
-            Reverse
-          </label>
-        </div>
+          <div className="faultRow" style={{ marginTop: 8 }}>
+            <div className="faultField">
+              <div className="small">Restore below cap minus (%)</div>
+              <input
+                className="input"
+                type="number"
+                min={0}
+                max={50}
+                value={draft.hysteresisPct}
+                onChange={(e) => set("hysteresisPct", e.target.value)}
+              />
+            </div>
+            <div className="faultField">
+              <div className="small">Restore after (seconds of headroom)</div>
+              <input
+                className="input"
+                type="number"
+                min={5}
+                value={draft.restoreHoldSec}
+                onChange={(e) => set("restoreHoldSec", e.target.value)}
+              />
+            </div>
+          </div>
 
-        <div className="row tahmid">
-          <div className="small">{onLabel}</div>
-          <input
-            className="input"
-            type="time"
-            style={{ width: 120 }}
-            value={schedule.on}
-            onFocus={() => onScheduleFocus(ch)}
-            onChange={(e) => setSchedule((s) => ({ ...s, on: e.target.value }))}
-            disabled={disabled || !schedule.enabled}
-          />
-        </div>
-        <div className="row tahmid">
-          <div className="small">{offLabel}</div>
-          <input
-            className="input"
-            type="time"
-            style={{ width: 120 }}
-            value={schedule.off}
-            onFocus={() => onScheduleFocus(ch)}
-            onChange={(e) =>
-              setSchedule((s) => ({ ...s, off: e.target.value }))
-            }
-            disabled={disabled || !schedule.enabled}
-          />
+          <div className="faultRow" style={{ marginTop: 8 }}>
+            {draft.channels.map((c) => (
+              <div key={c.ch} className="faultField">
+                <div className="small">
+                  {channelLabel(device, c.ch)} priority (higher is shed last)
+                </div>
+                <input
+                  className="input"
+                  type="number"
+                  step={1}
+                  value={c.priority}
+                  onChange={(e) =>
+                    set(
+                      "channels",
+                      draft.channels.map((x) =>
+                        x.ch === c.ch
+                          ? {
+                              ...x,
+                              priority: Math.round(Number(e.target.value)),
+                            }
+                          : x,
+                      ),
+                    )
+                  }
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="modalActions">
+            <label className="check">
+              <input
+                type="checkbox"
+                checked={draft.enabled}
+                onChange={(e) => set("enabled", e.target.checked)}
+              />
+              Enabled
+            </label>
+            <button
+              className="btn ghost"
+              type="button"
+              onClick={() => setDraft(null)}
+            >
+              Cancel
+            </button>
+            <button
+              className="btn"
+              type="button"
+              disabled={disabled || (draft.enabled && !Number(draft.maxPowerW))}
+              onClick={save}
+            >
+              Save
+            </button>
+          </div>
         </div>
-        <div className="row">
-          <button
-            className="btn"
-            type="button"
-            onClick={() => onApplySchedule(ch)}
-            disabled={disabled}
-            title="Save schedule to backend"
-          >
-            Apply
-          </button>
+      ) : null}
+    </div>
+  );
+}
 
-          <button
-            className="btn ghost"
-            type="button"
-            onClick={() => onCancelSchedule(ch)}
-            disabled={disabled}
-            title="Delete schedule from backend"
-          >
-            Cancel
-          </button>
+const GUARD_STATES = {
+  ok: { label: "Watching", chip: "" },
+  cut: { label: "Cut", chip: "warn" },
+  held: { label: "Held (restore limit)", chip: "warn" },
+};
+
+function VoltageGuardPanel({
+  device,
+  guards,
+  latest,
+  disabled,
+  onSave,
+  onDelete,
+}) {
+  const [editing, setEditing] = useState(null); // { ch, draft } | null
+
+  const save = async () => {
+    const { ch, draft } = editing;
+    const ok = await onSave(ch, {
+      enabled: draft.enabled,
+      vLow: Number(draft.vLow),
+      vHigh: Number(draft.vHigh),
+      restoreMin: Number(draft.restoreMin),
+      maxRestoresPerHour: Number(draft.maxRestoresPerHour),
+    });
+    if (ok) setEditing(null);
+  };
+  const set = (key, value) =>
+    setEditing((e) => ({ ...e, draft: { ...e.draft, [key]: value } }));
 
-          <div className="scheduleStatusRow">
-            <div className={`chip ${enabled ? "" : "muted"}`}>
-              {enabled ? (
+  return (
+    <div className="miniSection">
+      <div className="miniTitle">Voltage guard</div>
+
+      {[1, 3].map((ch) => {
+        const g = guards?.[ch];
+        const st = GUARD_STATES[g?.state] || GUARD_STATES.ok;
+        const v = latest?.[`v${ch}`];
+        return (
+          <div key={ch} className="row">
+            <div className="small" style={{ minWidth: 90 }}>
+              {channelLabel(device, ch)}
+            </div>
+            <div className={`chip ${g?.enabled ? st.chip : "muted"}`}>
+              {g?.enabled ? (
                 <>
-                  Schedule: <b>{schedule.on}</b> → <b>{schedule.off}</b>
-                  {schedule.invert ? (
-                    <span className="small"> • Reverse</span>
-                  ) : null}
+                  {st.label} •{" "}
+                  <b>
+                    {g.vLow}–{g.vHigh} V
+                  </b>
+                  {typeof v === "number" ? ` (now ${v.toFixed(0)} V)` : ""}
                 </>
               ) : (
-                <>Schedule disabled</>
+                <>Off</>
               )}
             </div>
+            {g?.enabled && g.state !== "ok" && g.inBandSince ? (
+              <div className="small">
+                In band since{" "}
+                {new Date(g.inBandSince).toLocaleTimeString([], {
+                  hour12: false,
+                })}
+                , restore after {g.restoreMin} min
+              </div>
+            ) : null}
+            {editing?.ch !== ch && (
+              <>
+                <button
+                  className="btn ghost"
+                  type="button"
+                  disabled={disabled}
+                  onClick={() =>
+                    setEditing({
+                      ch,
+                      draft: {
+                        enabled: g ? !!g.enabled : true,
+                        vLow: g?.vLow ?? 180,
+                        vHigh: g?.vHigh ?? 250,
+                        restoreMin: g?.restoreMin ?? 3,
+                        maxRestoresPerHour: g?.maxRestoresPerHour ?? 3,
+                      },
+                    })
+                  }
+                >
+                  {g ? "Edit" : "Set up"}
+                </button>
+                {g ? (
+                  <button
+                    className="btn ghost"
+                    type="button"
+                    title="Remove"
+                    disabled={disabled}
+                    onClick={() => onDelete(ch)}
+                  >
+                    <TrashIcon size={16} />
+                  </button>
+                ) : null}
+              </>
+            )}
+          </div>
+        );
+      })}
 
-            <div className={`chip ${saved ? "" : "warn"}`}>
-              {saved ? (
-                <>
-                  Saved
-                  {scheduleSavedAt ? (
-                    <span className="small">
-                      {" "}
-                      •{" "}
-                      {new Date(scheduleSavedAt).toLocaleTimeString([], {
-                        hour12: false,
-                      })}
-                    </span>
-                  ) : null}
-                </>
-              ) : (
-                <>Unsaved changes</>
-              )}
+      {editing ? (
+        <div className="faultGroup" style={{ marginTop: 8 }}>
+          <div className="faultGroupTitle">
+            {channelLabel(device, editing.ch)}
+          </div>
+          <div className="faultRow">
+            <div className="faultField">
+              <div className="small">Cut below (V)</div>
+              <input
+                className="input"
+                type="number"
+                value={editing.draft.vLow}
+                onChange={(e) => set("vLow", e.target.value)}
+              />
+            </div>
+            <div className="faultField">
+              <div className="small">Cut above (V)</div>
+              <input
+                className="input"
+                type="number"
+                value={editing.draft.vHigh}
+                onChange={(e) => set("vHigh", e.target.value)}
+              />
+            </div>
+          </div>
+          <div className="faultRow" style={{ marginTop: 8 }}>
+            <div className="faultField">
+              <div className="small">Restore after (minutes in band)</div>
+              <input
+                className="input"
+                type="number"
+                min={0}
+                value={editing.draft.restoreMin}
+                onChange={(e) => set("restoreMin", e.target.value)}
+              />
             </div>
+            <div className="faultField">
+              <div className="small">Max restores per hour</div>
+              <input
+                className="input"
+                type="number"
+                min={1}
+                value={editing.draft.maxRestoresPerHour}
+                onChange={(e) => set("maxRestoresPerHour", e.target.value)}
+              />
+            </div>
+          </div>
+          <div className="modalActions">
+            <label className="check">
+              <input
+                type="checkbox"
+                checked={editing.draft.enabled}
+                onChange={(e) => set("enabled", e.target.checked)}
+              />
+              Enabled
+            </label>
+            <button
+              className="btn ghost"
+              type="button"
+              onClick={() => setEditing(null)}
+            >
+              Cancel
+            </button>
+            <button
+              className="btn"
+              type="button"
+              disabled={
+                disabled ||
+                !(Number(editing.draft.vLow) < Number(editing.draft.vHigh))
+              }
+              onClick={save}
+            >
+              Save
+            </button>
           </div>
         </div>
-      </div>
+      ) : null}
+    </div>
+  );
+}
 
-      {/* Energy budget auto-off */}
-      <div className="miniSection">
-        <div className="miniTitle">Energy budget auto-off</div>
-        <div className="row tahmid">
+function RelayCardBackend({
+  ch,
+  label,
+  icon,
+  isOn,
+  disabled,
+  onToggle,
+
+  // timer
+  timerVal,
+  setTimerVal,
+  onStartTimer,
+  timerRemainingSec,
+  onCancelTimer,
+  timerMode,
+
+  // schedules
+  schedules,
+  onSaveSchedule,
+  onDeleteSchedule,
+
+  // cutoff
+  cutoff,
+  setCutoff,
+  onApplyCutoff,
+  cutoffServer,
+  cutoffSavedAt,
+  onCutoffFocus,
+  onCancelCutoff,
+}) {
+  const cutoffEnabled = !!cutoff?.enabled;
+  const cutoffSaved = cutoffServer ? cutoffsEqual(cutoff, cutoffServer) : true;
+  const appliedLimit =
+    typeof cutoffServer?.limitmWh === "number" ? cutoffServer.limitmWh : null;
+
+  const usedmWh =
+    typeof cutoffServer?.consumedmWh === "number"
+      ? cutoffServer.consumedmWh
+      : typeof cutoff?.consumedmWh === "number"
+        ? cutoff.consumedmWh
+        : 0;
+
+  return (
+    <div className="loadCard">
+      <div className="loadHeader">
+        <div>
+          <div className="loadTitle">
+            {icon ? <span className="loadIcon">{icon}</span> : null}
+            {label}
+          </div>
+          <div className="small">
+            Relay channel <b>{ch}</b>
+          </div>
+        </div>
+
+        <button
+          className={`toggleBtn ${isOn ? "on" : ""}`}
+          onClick={() => onToggle(ch, isOn ? 0 : 1)}
+          disabled={disabled}
+          type="button"
+          title={isOn ? "Turn OFF" : "Turn ON"}
+        >
+          <span className="toggleDot" />
+          <span className="toggleText">{isOn ? "ON" : "OFF"}</span>
+        </button>
+      </div>
+
+      {/* Timer */}
+      <div className="miniSection">
+        <div className="miniTitle">Timed switching</div>
+
+        {/* ON FOR row */}
+        <div className="row">
+          <div className="small">Turn OFF after</div>
+        </div>
+        <div className="row">
+          <input
+            className="input"
+            style={{ width: 60 }}
+            type="number"
+            min={0}
+            max={1440}
+            value={timerVal?.onFor?.min ?? ""}
+            onChange={(e) => {
+              const n = e.target.valueAsNumber;
+              setTimerVal((s) => ({
+                ...(s || {
+                  onFor: { min: null, sec: null },
+                  offFor: { min: null, sec: null },
+                }),
+                onFor: {
+                  ...((s && s.onFor) || { min: null, sec: null }),
+                  min: Number.isNaN(n) ? null : Math.max(0, Math.min(1440, n)),
+                },
+              }));
+            }}
+            disabled={disabled}
+          />
+          <div className="small">min</div>
+
+          <input
+            className="input"
+            style={{ width: 60 }}
+            type="number"
+            min={0}
+            max={59}
+            value={timerVal?.onFor?.sec ?? ""}
+            onChange={(e) => {
+              const n = e.target.valueAsNumber;
+              setTimerVal((s) => ({
+                ...(s || {
+                  onFor: { min: null, sec: null },
+                  offFor: { min: null, sec: null },
+                }),
+                onFor: {
+                  ...((s && s.onFor) || { min: null, sec: null }),
+                  sec: Number.isNaN(n) ? null : Math.max(0, Math.min(59, n)),
+                },
+              }));
+            }}
+            disabled={disabled}
+          />
+          <div className="small">sec</div>
+
+          <button
+            className="btn"
+            type="button"
+            onClick={() => onStartTimer(ch, "on_for")}
+            disabled={disabled}
+            title="Turn ON now, then OFF after the duration"
+          >
+            Apply
+          </button>
+        </div>
+
+        {/* OFF FOR row */}
+        <div className="row" style={{ marginTop: 8 }}>
+          <div className="small">Turn ON after</div>
+        </div>
+        <div className="row">
+          <input
+            className="input"
+            style={{ width: 60 }}
+            type="number"
+            min={0}
+            max={1440}
+            value={timerVal?.offFor?.min ?? ""}
+            onChange={(e) => {
+              const n = e.target.valueAsNumber;
+              setTimerVal((s) => ({
+                ...(s || {
+                  onFor: { min: null, sec: null },
+                  offFor: { min: null, sec: null },
+                }),
+                offFor: {
+                  ...((s && s.offFor) || { min: null, sec: null }),
+                  min: Number.isNaN(n) ? null : Math.max(0, Math.min(1440, n)),
+                },
+              }));
+            }}
+            disabled={disabled}
+          />
+          <div className="small">min</div>
+
+          <input
+            className="input"
+            style={{ width: 60 }}
+            type="number"
+            min={0}
+            max={59}
+            value={timerVal?.offFor?.sec ?? ""}
+            onChange={(e) => {
+              const n = e.target.valueAsNumber;
+              setTimerVal((s) => ({
+                ...(s || {
+                  onFor: { min: null, sec: null },
+                  offFor: { min: null, sec: null },
+                }),
+                offFor: {
+                  ...((s && s.offFor) || { min: null, sec: null }),
+                  sec: Number.isNaN(n) ? null : Math.max(0, Math.min(59, n)),
+                },
+              }));
+            }}
+            disabled={disabled}
+          />
+          <div className="small">sec</div>
+
+          <button
+            className="btn"
+            type="button"
+            onClick={() => onStartTimer(ch, "off_for")}
+            disabled={disabled}
+            title="Turn OFF now, then ON after the duration"
+          >
+            Apply
+          </button>
+        </div>
+        <div className="timerStatusWrap">
+          <div className={`chip ${timerRemainingSec > 0 ? "" : "muted"}`}>
+            {timerRemainingSec > 0 ? (
+              timerMode ? (
+                <>
+                  Running: <b>{timerMode}</b> • <b>{timerRemainingSec}s</b>
+                </>
+              ) : (
+                <>
+                  Timer: <b>{timerRemainingSec}s</b>
+                </>
+              )
+            ) : (
+              <>No active timer</>
+            )}
+          </div>
+
+          {timerRemainingSec > 0 && (
+            <button
+              className="btn ghost"
+              type="button"
+              onClick={() => onCancelTimer(ch)}
+              disabled={disabled}
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Schedules */}
+      <div className="miniSection">
+        <div className="miniTitle">Schedules</div>
+        <ScheduleList
+          ch={ch}
+          schedules={schedules || []}
+          disabled={disabled}
+          onSave={onSaveSchedule}
+          onDelete={onDeleteSchedule}
+        />
+      </div>
+
+      {/* Energy budget auto-off */}
+      <div className="miniSection">
+        <div className="miniTitle">Energy budget auto-off</div>
+        <div className="row tahmid">
           <label className="check">
             <input
               type="checkbox"
@@ -639,45 +1532,2738 @@ function TrashIcon({ size = 22 }) {
   );
 }
 
-function FaultNumberField({ label, value, placeholder, onChange, onUserEdit }) {
-  return (
-    <div className="faultField">
-      <div className="small">{label}</div>
-      <input
-        className="input"
-        type="number"
-        value={value}
-        placeholder={placeholder}
-        onFocus={onUserEdit}
-        onChange={(e) => {
-          onUserEdit?.();
-          onChange(e.target.value);
-        }}
-      />
-    </div>
+function FaultNumberField({ label, value, placeholder, onChange, onUserEdit }) {
+  return (
+    <div className="faultField">
+      <div className="small">{label}</div>
+      <input
+        className="input"
+        type="number"
+        value={value}
+        placeholder={placeholder}
+        onFocus={onUserEdit}
+        onChange={(e) => {
+          onUserEdit?.();
+          onChange(e.target.value);
+        }}
+      />
+    </div>
+  );
+}
+
+const FAULT_BOUNDS = [
+  { key: "vMin", label: "Voltage min" },
+  { key: "vMax", label: "Voltage max" },
+  { key: "iMin", label: "Current min" },
+  { key: "iMax", label: "Current max" },
+  { key: "pMin", label: "Power min" },
+  { key: "pMax", label: "Power max" },
+];
+
+const FAULT_GROUPS = [
+  { title: "Voltage (V)", min: "vMin", max: "vMax", hint: ["180", "250"] },
+  { title: "Current (A)", min: "iMin", max: "iMax", hint: ["0.05", "2.5"] },
+  { title: "Power (W)", min: "pMin", max: "pMax", hint: ["5", "500"] },
+];
+
+// Limits + confirmation of one scope (device totals or a channel)
+function faultScopeDraft(s) {
+  const draft = { confirm: {} };
+  for (const { key } of FAULT_BOUNDS) {
+    draft[key] = s?.[key] ?? "";
+    const c = s?.confirm?.[key];
+    draft.confirm[key] = {
+      samples: c?.samples > 1 ? c.samples : "",
+      holdSec: c?.holdSec || "",
+    };
+  }
+  return draft;
+}
+
+function faultScopeBody(d) {
+  const body = {
+    confirm: Object.fromEntries(
+      Object.entries(d.confirm).map(([k, c]) => [
+        k,
+        { samples: Number(c.samples) || 1, holdSec: Number(c.holdSec) || 0 },
+      ]),
+    ),
+  };
+  for (const { key } of FAULT_BOUNDS) body[key] = d[key];
+  return body;
+}
+
+function faultDraftFrom(s) {
+  const channel = (ch) => s?.channels?.find((c) => c.ch === ch);
+  return {
+    ...faultScopeDraft(s),
+    inrushGraceSec: s?.inrushGraceSec || "",
+    forensicsMin: s?.forensicsMin ?? 5,
+    channels: {
+      1: faultScopeDraft(channel(1)),
+      3: faultScopeDraft(channel(3)),
+    },
+  };
+}
+
+function FaultScopeFields({ scope, setScope, onUserEdit }) {
+  const setConfirm = (key, field, value) =>
+    setScope((s) => ({
+      ...s,
+      confirm: { ...s.confirm, [key]: { ...s.confirm[key], [field]: value } },
+    }));
+
+  return (
+    <>
+      {FAULT_GROUPS.map((g) => (
+        <div key={g.min} className="faultRow">
+          <FaultNumberField
+            label={`${g.title} min`}
+            value={scope[g.min]}
+            placeholder={`e.g. ${g.hint[0]}`}
+            onUserEdit={onUserEdit}
+            onChange={(v) => setScope((s) => ({ ...s, [g.min]: v }))}
+          />
+          <FaultNumberField
+            label={`${g.title} max`}
+            value={scope[g.max]}
+            placeholder={`e.g. ${g.hint[1]}`}
+            onUserEdit={onUserEdit}
+            onChange={(v) => setScope((s) => ({ ...s, [g.max]: v }))}
+          />
+        </div>
+      ))}
+      {FAULT_BOUNDS.filter(({ key }) => scope[key] !== "").map(
+        ({ key, label }) => (
+          <div key={key} className="faultRow">
+            <FaultNumberField
+              label={`${label}: confirm samples`}
+              value={scope.confirm[key].samples}
+              placeholder="1"
+              onUserEdit={onUserEdit}
+              onChange={(v) => setConfirm(key, "samples", v)}
+            />
+            <FaultNumberField
+              label={`${label}: hold (s)`}
+              value={scope.confirm[key].holdSec}
+              placeholder="0"
+              onUserEdit={onUserEdit}
+              onChange={(v) => setConfirm(key, "holdSec", v)}
+            />
+          </div>
+        ),
+      )}
+    </>
+  );
+}
+
+function FaultSettingsModal({
+  open,
+  onClose,
+  device,
+  draft,
+  setDraft,
+  onSave,
+  onResetLatch,
+  latched,
+  channelLatches,
+  onUserEdit,
+}) {
+  if (!open) return null;
+
+  const setChannel = (ch) => (fn) =>
+    setDraft((s) => ({
+      ...s,
+      channels: { ...s.channels, [ch]: fn(s.channels[ch]) },
+    }));
+  const latchOf = (ch) => channelLatches.find((c) => c.ch === ch);
+
+  return (
+    <div className="modalBackdrop" onMouseDown={onClose}>
+      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modalHeader">
+          <div>
+            <div className="modalTitle">Fault Settings</div>
+            <div className="small">
+              Leave a field empty to disable that bound. Confirmation (samples /
+              hold seconds) appears for bounds that are set; empty trips on the
+              first bad sample.
+            </div>
+          </div>
+          <button className="btn ghost" onClick={onClose} type="button">
+            Close
+          </button>
+        </div>
+
+        <div className="faultGrid">
+          <div className="faultGroup">
+            <div className="faultGroupTitle">
+              Device total — trips every relay
+            </div>
+            <div
+              className={`chip ${latched ? "warn" : "muted"}`}
+              style={{ marginBottom: 8 }}
+            >
+              {latched ? (
+                <>
+                  Trip is <b>LATCHED</b> (system already tripped)
+                </>
+              ) : (
+                <>
+                  Fault latch: <b>OK</b>
+                </>
+              )}
+            </div>
+            <FaultScopeFields
+              scope={draft}
+              setScope={setDraft}
+              onUserEdit={onUserEdit}
+            />
+          </div>
+
+          {[1, 3].map((ch) => {
+            const l = latchOf(ch);
+            return (
+              <div key={ch} className="faultGroup">
+                <div className="faultGroupTitle">
+                  {channelLabel(device, ch)} — trips only this relay
+                </div>
+                {l?.latched ? (
+                  <div className="row" style={{ marginBottom: 8 }}>
+                    <div className="chip warn">
+                      <b>LATCHED</b> {l.lastFault}
+                    </div>
+                    <button
+                      className="btn ghost"
+                      type="button"
+                      onClick={() => onResetLatch(ch)}
+                    >
+                      Reset
+                    </button>
+                  </div>
+                ) : null}
+                <FaultScopeFields
+                  scope={draft.channels[ch]}
+                  setScope={setChannel(ch)}
+                  onUserEdit={onUserEdit}
+                />
+              </div>
+            );
+          })}
+
+          <div className="faultGroup">
+            <div className="faultGroupTitle">Timing</div>
+            <div className="faultRow">
+              <FaultNumberField
+                label="Grace after a relay turns on (s)"
+                value={draft.inrushGraceSec}
+                placeholder="e.g. 3 (ignores current/power max)"
+                onUserEdit={onUserEdit}
+                onChange={(v) => setDraft((s) => ({ ...s, inrushGraceSec: v }))}
+              />
+              <FaultNumberField
+                label="Incident chart: minutes before/after a trip"
+                value={draft.forensicsMin}
+                placeholder="0 = off, max 15"
+                onUserEdit={onUserEdit}
+                onChange={(v) => setDraft((s) => ({ ...s, forensicsMin: v }))}
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="modalActions">
+          {(latched || channelLatches.some((c) => c.latched)) && (
+            <button
+              className="btn"
+              type="button"
+              onClick={() => onResetLatch()}
+            >
+              Reset Fault
+            </button>
+          )}
+          <button className="btn" type="button" onClick={onSave}>
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function DeviceSettingsModal({
+  open,
+  onClose,
+  deviceId,
+  draft,
+  setDraft,
+  onSave,
+  owner,
+  onClaim,
+  busy,
+  tariffs,
+}) {
+  const [claimCode, setClaimCode] = useState("");
+  const [claimOwner, setClaimOwner] = useState("");
+
+  if (!open) return null;
+
+  const setChannel = (ch, key, value) =>
+    setDraft((d) => ({
+      ...d,
+      channels: d.channels.map((c) =>
+        c.ch === ch ? { ...c, [key]: value } : c,
+      ),
+    }));
+
+  return (
+    <div className="modalBackdrop" onMouseDown={onClose}>
+      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modalHeader">
+          <div>
+            <div className="modalTitle">Device Settings</div>
+            <div className="small">
+              Registry entry for <b>{deviceId}</b>
+            </div>
+          </div>
+          <button className="btn ghost" onClick={onClose} type="button">
+            Close
+          </button>
+        </div>
+
+        <div className="faultGrid">
+          <div className="faultGroup">
+            <div className="faultGroupTitle">Details</div>
+            <div className="faultRow">
+              <div className="faultField">
+                <div className="small">Name</div>
+                <input
+                  className="input"
+                  value={draft.name}
+                  placeholder="e.g. Kitchen board"
+                  onChange={(e) =>
+                    setDraft((d) => ({ ...d, name: e.target.value }))
+                  }
+                />
+              </div>
+              <div className="faultField">
+                <div className="small">Location</div>
+                <input
+                  className="input"
+                  value={draft.location}
+                  placeholder="e.g. Ground floor"
+                  onChange={(e) =>
+                    setDraft((d) => ({ ...d, location: e.target.value }))
+                  }
+                />
+              </div>
+              <div className="faultField">
+                <div className="small">Latitude / longitude (sun times)</div>
+                <div className="row">
+                  <input
+                    className="input"
+                    type="number"
+                    step="any"
+                    value={draft.lat}
+                    placeholder="23.81"
+                    onChange={(e) =>
+                      setDraft((d) => ({ ...d, lat: e.target.value }))
+                    }
+                  />
+                  <input
+                    className="input"
+                    type="number"
+                    step="any"
+                    value={draft.lon}
+                    placeholder="90.41"
+                    onChange={(e) =>
+                      setDraft((d) => ({ ...d, lon: e.target.value }))
+                    }
+                  />
+                  {navigator.geolocation ? (
+                    <button
+                      className="btn ghost"
+                      type="button"
+                      title="Use this browser's location"
+                      onClick={() =>
+                        navigator.geolocation.getCurrentPosition((pos) =>
+                          setDraft((d) => ({
+                            ...d,
+                            lat: pos.coords.latitude.toFixed(4),
+                            lon: pos.coords.longitude.toFixed(4),
+                          })),
+                        )
+                      }
+                    >
+                      Locate
+                    </button>
+                  ) : null}
+                </div>
+              </div>
+              <div className="faultField">
+                <div className="small">Firmware version</div>
+                <input
+                  className="input"
+                  value={draft.firmwareVersion}
+                  placeholder="reported by device"
+                  onChange={(e) =>
+                    setDraft((d) => ({
+                      ...d,
+                      firmwareVersion: e.target.value,
+                    }))
+                  }
+                />
+              </div>
+              <div className="faultField">
+                <div className="small">Notes</div>
+                <input
+                  className="input"
+                  value={draft.notes}
+                  onChange={(e) =>
+                    setDraft((d) => ({ ...d, notes: e.target.value }))
+                  }
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="faultGroup">
+            <div className="faultGroupTitle">Channels</div>
+            {draft.channels.map((c) => (
+              <div className="faultRow" key={c.ch} style={{ marginBottom: 8 }}>
+                <div className="faultField">
+                  <div className="small">Relay-{c.ch} label</div>
+                  <input
+                    className="input"
+                    value={c.label}
+                    onChange={(e) => setChannel(c.ch, "label", e.target.value)}
+                  />
+                </div>
+                <div className="faultField">
+                  <div className="small">Icon</div>
+                  <input
+                    className="input"
+                    value={c.icon}
+                    placeholder="e.g. 💡"
+                    maxLength={8}
+                    onChange={(e) => setChannel(c.ch, "icon", e.target.value)}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="faultGroup">
+            <div className="faultGroupTitle">Billing</div>
+            <div className="faultRow">
+              <div className="faultField">
+                <div className="small">Tariff</div>
+                <select
+                  className="select"
+                  value={draft.tariffId}
+                  onChange={(e) =>
+                    setDraft((d) => ({ ...d, tariffId: e.target.value }))
+                  }
+                >
+                  <option value="">None (energy only)</option>
+                  {tariffs.map((t) => (
+                    <option key={t._id} value={t._id}>
+                      {t.name} ({t.currency})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="faultField">
+                <div className="small">Billing cycle starts on day</div>
+                <input
+                  className="input"
+                  type="number"
+                  min={1}
+                  max={28}
+                  value={draft.billingCycleDay}
+                  onChange={(e) =>
+                    setDraft((d) => ({
+                      ...d,
+                      billingCycleDay: Number(e.target.value),
+                    }))
+                  }
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="faultGroup">
+            <div className="faultGroupTitle">Ownership</div>
+            {owner ? (
+              <div className="chip">
+                Claimed by <b>{owner}</b>
+              </div>
+            ) : (
+              <div className="faultRow">
+                <div className="faultField">
+                  <div className="small">Claim code</div>
+                  <input
+                    className="input"
+                    value={claimCode}
+                    placeholder="XXXX-XXXX"
+                    onChange={(e) => setClaimCode(e.target.value)}
+                  />
+                </div>
+                <div className="faultField">
+                  <div className="small">Owner</div>
+                  <input
+                    className="input"
+                    value={claimOwner}
+                    placeholder="your name or email"
+                    onChange={(e) => setClaimOwner(e.target.value)}
+                  />
+                </div>
+                <div className="row">
+                  <button
+                    className="btn"
+                    type="button"
+                    disabled={busy || !claimCode || !claimOwner}
+                    onClick={() => onClaim(claimCode, claimOwner)}
+                  >
+                    Claim device
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="modalActions">
+          <button
+            className="btn"
+            type="button"
+            onClick={onSave}
+            disabled={busy}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const EXPORT_COLUMNS = [
+  "v1",
+  "i1",
+  "p1",
+  "e1Wh",
+  "e1WhTotal",
+  "e1WhDelta",
+  "v3",
+  "i3",
+  "p3",
+  "e3Wh",
+  "e3WhTotal",
+  "e3WhDelta",
+  "voltage",
+  "current",
+  "power",
+  "energyWh",
+];
+// only available when exporting raw packets
+const EXPORT_RAW_ONLY = ["energyWhTotal", "rssi", "relay1", "relay3"];
+
+function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+const TIME_ZONES = Intl.supportedValuesOf?.("timeZone") ?? [];
+
+// Free-text IANA zone with suggestions
+function TimeZoneInput({ id, value, onChange }) {
+  return (
+    <>
+      <input
+        className="input"
+        list={id}
+        value={value}
+        placeholder="e.g. Asia/Dhaka"
+        onChange={(e) => onChange(e.target.value)}
+      />
+      <datalist id={id}>
+        {TIME_ZONES.map((z) => (
+          <option key={z} value={z} />
+        ))}
+      </datalist>
+    </>
+  );
+}
+
+function toLocalInput(ms) {
+  const d = new Date(ms - new Date(ms).getTimezoneOffset() * 60000);
+  return d.toISOString().slice(0, 16);
+}
+
+// custom datetime-local inputs, or the last `timeframeMin` minutes
+function exportRange(custom, fromInput, toInput, timeframeMin) {
+  const to = custom ? new Date(toInput).getTime() : Date.now();
+  const from = custom
+    ? new Date(fromInput).getTime()
+    : to - timeframeMin * 60 * 1000;
+  return { from, to };
+}
+
+function ExportModal({ open, onClose, deviceId, timeframeMin }) {
+  const [format, setFormat] = useState("csv");
+  const [bucketSec, setBucketSec] = useState(0);
+  const [tz, setTz] = useState(browserTimeZone);
+  const [columns, setColumns] = useState(["v1", "i1", "p1", "e1WhTotal"]);
+  const [custom, setCustom] = useState(false);
+  const [fromInput, setFromInput] = useState("");
+  const [toInput, setToInput] = useState("");
+
+  if (!open) return null;
+
+  const available =
+    bucketSec > 0 ? EXPORT_COLUMNS : [...EXPORT_COLUMNS, ...EXPORT_RAW_ONLY];
+  const selected = columns.filter((c) => available.includes(c));
+
+  const toggleColumn = (c) =>
+    setColumns((cur) =>
+      cur.includes(c) ? cur.filter((x) => x !== c) : [...cur, c],
+    );
+
+  const enableCustom = (on) => {
+    if (on && !fromInput) {
+      const now = Date.now();
+      setFromInput(toLocalInput(now - timeframeMin * 60 * 1000));
+      setToInput(toLocalInput(now));
+    }
+    setCustom(on);
+  };
+
+  const download = () => {
+    const { from, to } = exportRange(custom, fromInput, toInput, timeframeMin);
+
+    if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from) {
+      alert("Invalid export range");
+      return;
+    }
+    if (!selected.length) {
+      alert("Select at least one column");
+      return;
+    }
+
+    const params = new URLSearchParams({
+      from: String(from),
+      to: String(to),
+      format,
+      bucketSec: String(bucketSec),
+      columns: selected.join(","),
+      tz: tz.trim() || "UTC",
+    });
+    const a = document.createElement("a");
+    a.href = `${API_BASE}/api/export/${deviceId}?${params}`;
+    a.download = "";
+    a.click();
+  };
+
+  return (
+    <div className="modalBackdrop" onMouseDown={onClose}>
+      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modalHeader">
+          <div>
+            <div className="modalTitle">Export History</div>
+            <div className="small">
+              Telemetry of <b>{deviceId}</b> as a file download
+            </div>
+          </div>
+          <button className="btn ghost" onClick={onClose} type="button">
+            Close
+          </button>
+        </div>
+
+        <div className="faultGrid">
+          <div className="faultGroup">
+            <div className="faultGroupTitle">Range</div>
+            <div className="faultRow">
+              <div className="faultField">
+                <div className="small">Window</div>
+                <select
+                  className="select"
+                  value={custom ? "custom" : "timeframe"}
+                  onChange={(e) => enableCustom(e.target.value === "custom")}
+                >
+                  <option value="timeframe">
+                    Selected timeframe ({timeframeMin} min)
+                  </option>
+                  <option value="custom">Custom range</option>
+                </select>
+              </div>
+              <div className="faultField">
+                <div className="small">Time zone</div>
+                <input
+                  className="input"
+                  value={tz}
+                  placeholder="e.g. Asia/Dhaka"
+                  onChange={(e) => setTz(e.target.value)}
+                />
+              </div>
+              {custom && (
+                <>
+                  <div className="faultField">
+                    <div className="small">From</div>
+                    <input
+                      className="input"
+                      type="datetime-local"
+                      value={fromInput}
+                      onChange={(e) => setFromInput(e.target.value)}
+                    />
+                  </div>
+                  <div className="faultField">
+                    <div className="small">To</div>
+                    <input
+                      className="input"
+                      type="datetime-local"
+                      value={toInput}
+                      onChange={(e) => setToInput(e.target.value)}
+                    />
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+
+          <div className="faultGroup">
+            <div className="faultGroupTitle">Format</div>
+            <div className="faultRow">
+              <div className="faultField">
+                <div className="small">File type</div>
+                <select
+                  className="select"
+                  value={format}
+                  onChange={(e) => setFormat(e.target.value)}
+                >
+                  <option value="csv">CSV</option>
+                  <option value="ndjson">JSON Lines (NDJSON)</option>
+                  <option value="xlsx">Excel (XLSX)</option>
+                </select>
+              </div>
+              <div className="faultField">
+                <div className="small">Resolution</div>
+                <select
+                  className="select"
+                  value={bucketSec}
+                  onChange={(e) => setBucketSec(Number(e.target.value))}
+                >
+                  <option value={0}>Raw packets</option>
+                  <option value={60}>1 minute averages</option>
+                  <option value={900}>15 minute averages</option>
+                  <option value={3600}>Hourly averages</option>
+                  <option value={86400}>Daily averages</option>
+                </select>
+              </div>
+            </div>
+          </div>
+
+          <div className="faultGroup">
+            <div className="faultGroupTitle">Columns</div>
+            <div className="exportColumns">
+              {available.map((c) => (
+                <label key={c} className="exportColumn">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(c)}
+                    onChange={() => toggleColumn(c)}
+                  />
+                  {c}
+                </label>
+              ))}
+            </div>
+            <div className="small" style={{ marginTop: 8 }}>
+              Timestamps (<code>time</code> in the chosen zone and epoch{" "}
+              <code>ts</code>) are always included.
+            </div>
+          </div>
+        </div>
+
+        <div className="modalActions">
+          <button className="btn" onClick={download} type="button">
+            Download
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const ENERGY_PERIOD_OPTIONS = [
+  { value: "hour", label: "Hourly (24h)" },
+  { value: "day", label: "Daily (30d)" },
+  { value: "week", label: "Weekly (12w)" },
+  { value: "month", label: "Monthly (12m)" },
+];
+
+// "2026-03-27 14:00" / "2026-03-27" / "2026-03" => short axis label
+function energyTickLabel(key, period) {
+  if (period === "hour") return key.slice(11);
+  if (period === "month") return key;
+  return key.slice(5);
+}
+
+const LEDGER_KINDS = {
+  topup: { label: "Top-up", badge: "success" },
+  usage: { label: "Usage", badge: "info" },
+  fixed_charge: { label: "Fixed charge", badge: "fault" },
+};
+
+function prepaidScopeLabel(device, ch) {
+  return ch == null ? "Whole device" : channelLabel(device, ch);
+}
+
+function PrepaidPanel({
+  device,
+  accounts,
+  ledger,
+  onSave,
+  onTopup,
+  onDelete,
+  busy,
+}) {
+  const [newScope, setNewScope] = useState("device");
+  const [topups, setTopups] = useState({}); // accountId -> { amount, reference }
+  const [drafts, setDrafts] = useState({}); // accountId -> thresholds text
+
+  const scopes = accounts.some((a) => a.ch == null)
+    ? []
+    : accounts.length
+      ? [1, 3].filter((ch) => !accounts.some((a) => a.ch === ch))
+      : ["device", 1, 3];
+
+  const setTopup = (id, key, value) =>
+    setTopups((t) => ({ ...t, [id]: { ...t[id], [key]: value } }));
+
+  return (
+    <>
+      <div className="prepaidGrid">
+        {accounts.length === 0 ? (
+          <div className="small">
+            No prepaid account. Create one for the whole device or for a single
+            relay; usage is priced through the attached tariff.
+          </div>
+        ) : (
+          accounts.map((a) => {
+            const low = (a.warnThresholds || []).some((t) => a.balance <= t);
+            const thresholdsText =
+              drafts[a._id] ?? (a.warnThresholds || []).join(", ");
+            const topup = topups[a._id] || {};
+            return (
+              <div key={a._id} className="miniCard">
+                <div className="notifTitleRow">
+                  <div className="miniCardTitle">
+                    {prepaidScopeLabel(device, a.ch)}
+                  </div>
+                  <span
+                    className={`chip ${a.balance <= 0 || low ? "warn" : "muted"}`}
+                  >
+                    {!a.enabled
+                      ? "Disabled"
+                      : a.balance <= 0
+                        ? "Depleted"
+                        : low
+                          ? "Low balance"
+                          : "OK"}
+                  </span>
+                </div>
+
+                <div className="statValue">
+                  {a.balance.toFixed(2)} {a.currency}
+                </div>
+                <div className="small">
+                  {a.cycleKWh != null
+                    ? `${a.cycleKWh.toFixed(2)} kWh this cycle`
+                    : null}
+                </div>
+
+                <div className="faultRow" style={{ marginTop: 10 }}>
+                  <div className="faultField">
+                    <div className="small">Warn at (comma separated)</div>
+                    <input
+                      className="input"
+                      value={thresholdsText}
+                      placeholder="e.g. 200, 50"
+                      onChange={(e) =>
+                        setDrafts((d) => ({ ...d, [a._id]: e.target.value }))
+                      }
+                    />
+                  </div>
+                  <div className="faultField">
+                    <div className="small">Options</div>
+                    <label className="exportColumn">
+                      <input
+                        type="checkbox"
+                        checked={a.autoOff}
+                        onChange={(e) =>
+                          onSave(a.ch, { autoOff: e.target.checked })
+                        }
+                      />
+                      OFF at zero balance
+                    </label>
+                    <label className="exportColumn">
+                      <input
+                        type="checkbox"
+                        checked={a.enabled}
+                        onChange={(e) =>
+                          onSave(a.ch, { enabled: e.target.checked })
+                        }
+                      />
+                      Deduct usage
+                    </label>
+                  </div>
+                  <div className="faultField">
+                    <div className="small">Top-up amount</div>
+                    <input
+                      className="input"
+                      type="number"
+                      min={0}
+                      value={topup.amount ?? ""}
+                      onChange={(e) =>
+                        setTopup(a._id, "amount", e.target.value)
+                      }
+                    />
+                  </div>
+                  <div className="faultField">
+                    <div className="small">Reference</div>
+                    <input
+                      className="input"
+                      value={topup.reference ?? ""}
+                      placeholder="token / receipt no."
+                      onChange={(e) =>
+                        setTopup(a._id, "reference", e.target.value)
+                      }
+                    />
+                  </div>
+                </div>
+
+                <div className="modalActions">
+                  <button
+                    className="btn ghost"
+                    type="button"
+                    disabled={busy}
+                    onClick={() => onDelete(a.ch)}
+                  >
+                    Remove
+                  </button>
+                  <button
+                    className="btn ghost"
+                    type="button"
+                    disabled={busy || drafts[a._id] == null}
+                    onClick={() =>
+                      onSave(a.ch, {
+                        warnThresholds: thresholdsText
+                          .split(",")
+                          .map((x) => x.trim())
+                          .filter(Boolean)
+                          .map(Number),
+                      }).then(() =>
+                        setDrafts((d) => ({ ...d, [a._id]: undefined })),
+                      )
+                    }
+                  >
+                    Save thresholds
+                  </button>
+                  <button
+                    className="btn"
+                    type="button"
+                    disabled={busy || !(Number(topup.amount) > 0)}
+                    onClick={() =>
+                      onTopup(a.ch, Number(topup.amount), topup.reference).then(
+                        () => setTopups((t) => ({ ...t, [a._id]: {} })),
+                      )
+                    }
+                  >
+                    Top up
+                  </button>
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      {scopes.length > 0 && (
+        <div className="row" style={{ marginTop: 10 }}>
+          <select
+            className="select"
+            value={scopes.includes(newScope) ? newScope : scopes[0]}
+            onChange={(e) =>
+              setNewScope(
+                e.target.value === "device" ? "device" : Number(e.target.value),
+              )
+            }
+          >
+            {scopes.map((sc) => (
+              <option key={sc} value={sc}>
+                {sc === "device" ? "Whole device" : channelLabel(device, sc)}
+              </option>
+            ))}
+          </select>
+          <button
+            className="btn ghost"
+            type="button"
+            disabled={busy}
+            onClick={() => {
+              const sc = scopes.includes(newScope) ? newScope : scopes[0];
+              onSave(sc === "device" ? null : sc, { enabled: true });
+            }}
+          >
+            Create prepaid account
+          </button>
+        </div>
+      )}
+
+      {ledger.length > 0 && (
+        <div className="chartCard" style={{ marginTop: 12 }}>
+          <div className="chartTitle">Ledger</div>
+          <div className="timelineList">
+            {ledger.map((tx) => {
+              const k = LEDGER_KINDS[tx.kind] || {
+                label: tx.kind,
+                badge: "info",
+              };
+              return (
+                <div key={tx._id} className="notifItem">
+                  <div className={`notifBadge ${k.badge}`}>{k.label}</div>
+                  <div className="notifBody">
+                    <div className="notifMsg">
+                      {tx.amount >= 0 ? "+" : ""}
+                      {tx.amount.toFixed(2)}
+                      {tx.kWh ? ` • ${tx.kWh.toFixed(3)} kWh` : ""}
+                      {tx.balanceAfter != null
+                        ? ` • balance ${tx.balanceAfter.toFixed(2)}`
+                        : ""}
+                    </div>
+                    <div className="notifMeta">
+                      {prepaidScopeLabel(device, tx.ch)} •{" "}
+                      {new Date(tx.period || tx.createdAt).toLocaleString([], {
+                        hour12: false,
+                      })}
+                      {tx.reference ? ` • ${tx.reference}` : ""}
+                      {tx.note ? ` • ${tx.note}` : ""}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+const RULE_TRIGGERS = [
+  { value: "telemetry", label: "Telemetry threshold" },
+  { value: "time", label: "Time of day" },
+  { value: "relay", label: "Relay changes" },
+  { value: "fault", label: "Fault tripped" },
+  { value: "offline", label: "Device offline" },
+];
+const RULE_CONDITIONS = [
+  { value: "telemetry", label: "Telemetry" },
+  { value: "relay", label: "Relay state" },
+  { value: "time_window", label: "Time window" },
+  { value: "online", label: "Online" },
+];
+const RULE_ACTIONS = [
+  { value: "set_relay", label: "Set relay" },
+  { value: "toggle", label: "Toggle relay" },
+  { value: "start_timer", label: "Start timer" },
+  { value: "run_scene", label: "Run scene" },
+  { value: "notify", label: "Notify" },
+  { value: "log", label: "Log" },
+];
+const RULE_METRICS = [
+  { value: "power", label: "Power total (W)" },
+  { value: "current", label: "Current total (A)" },
+  { value: "voltage", label: "Voltage (V)" },
+  { value: "p1", label: "Power ch1 (W)" },
+  { value: "p3", label: "Power ch3 (W)" },
+  { value: "i1", label: "Current ch1 (A)" },
+  { value: "i3", label: "Current ch3 (A)" },
+  { value: "v1", label: "Voltage ch1 (V)" },
+  { value: "v3", label: "Voltage ch3 (V)" },
+  { value: "rssi", label: "Wi-Fi RSSI (dBm)" },
+  { value: "energyWhTotal", label: "Energy total (Wh)" },
+];
+const RULE_OPS = [">", ">=", "<", "<=", "==", "!="];
+const FAULT_TAGS = ["V_HIGH", "V_LOW", "I_HIGH", "I_LOW", "P_HIGH", "P_LOW"];
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const RULE_ITEM_DEFAULTS = {
+  telemetry: { metric: "power", op: ">", value: "" },
+  relay: { ch: 1, state: 1 },
+  time_window: { start: "18:00", end: "23:00", days: [] },
+  online: { value: true },
+  set_relay: { ch: 1, state: 0 },
+  toggle: { ch: 1 },
+  start_timer: { ch: 1, mode: "on_for", durationSec: 600 },
+  notify: { level: "info", message: "" },
+  log: { message: "" },
+  run_scene: { sceneId: "" },
+};
+
+function newRuleDraft() {
+  return {
+    name: "",
+    enabled: true,
+    cooldownSec: 60,
+    tz: browserTimeZone(),
+    trigger: {
+      type: "telemetry",
+      metric: "power",
+      op: ">",
+      value: "",
+      holdSec: 0,
+    },
+    conditions: { mode: "and", items: [] },
+    actions: [{ type: "set_relay", ch: 1, state: 0 }],
+  };
+}
+
+function metricLabel(metric) {
+  return RULE_METRICS.find((m) => m.value === metric)?.label || metric;
+}
+
+// One-line summary, e.g. "Power total (W) > 1500 for 60s → OFF Fan"
+function describeRule(rule, device, scenes = []) {
+  const t = rule.trigger || {};
+  const days = t.days?.length
+    ? ` (${t.days.map((d) => WEEKDAY_LABELS[d]).join(", ")})`
+    : "";
+  const when =
+    t.type === "telemetry"
+      ? `${metricLabel(t.metric)} ${t.op} ${t.value}${t.holdSec ? ` for ${t.holdSec}s` : ""}`
+      : t.type === "time"
+        ? `At ${t.at}${days}`
+        : t.type === "relay"
+          ? `${channelLabel(device, t.ch)} turns ${t.state == null ? "ON/OFF" : t.state ? "ON" : "OFF"}`
+          : t.type === "fault"
+            ? `Fault ${t.fault || "(any)"}`
+            : "Device goes offline";
+
+  const does = (rule.actions || [])
+    .map((a) =>
+      a.type === "set_relay"
+        ? `${a.state ? "ON" : "OFF"} ${channelLabel(device, a.ch)}`
+        : a.type === "toggle"
+          ? `toggle ${channelLabel(device, a.ch)}`
+          : a.type === "start_timer"
+            ? `${a.mode === "on_for" ? "ON" : "OFF"} ${channelLabel(device, a.ch)} for ${a.durationSec}s`
+            : a.type === "run_scene"
+              ? `scene "${scenes.find((x) => x._id === a.sceneId)?.name || "?"}"`
+              : a.type,
+    )
+    .join(", ");
+
+  const n = rule.conditions?.items?.length || 0;
+  const cond = n
+    ? ` if ${rule.conditions.mode === "or" ? "any" : "all"} of ${n} condition${n > 1 ? "s" : ""}`
+    : "";
+  return `${when}${cond} → ${does}`;
+}
+
+function WeekdayPicker({ value, onChange }) {
+  const days = value || [];
+  return (
+    <div className="exportColumns">
+      {WEEKDAY_LABELS.map((label, d) => (
+        <label key={label} className="exportColumn">
+          <input
+            type="checkbox"
+            checked={days.includes(d)}
+            onChange={(e) =>
+              onChange(
+                e.target.checked
+                  ? [...days, d].sort()
+                  : days.filter((x) => x !== d),
+              )
+            }
+          />
+          {label}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+function ChannelSelect({ device, value, onChange }) {
+  return (
+    <select
+      className="select"
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+    >
+      {[1, 3].map((ch) => (
+        <option key={ch} value={ch}>
+          {channelLabel(device, ch)}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+// Fields shared by trigger, condition and action rows
+function RuleItemFields({
+  device,
+  scenes = [],
+  item,
+  onChange,
+  trigger = false,
+}) {
+  const set = (key, value) => onChange({ ...item, [key]: value });
+  const field = (label, control) => (
+    <div className="faultField">
+      <div className="small">{label}</div>
+      {control}
+    </div>
+  );
+
+  switch (item.type) {
+    case "telemetry":
+      return (
+        <>
+          {field(
+            "Metric",
+            <select
+              className="select"
+              value={item.metric}
+              onChange={(e) => set("metric", e.target.value)}
+            >
+              {RULE_METRICS.map((m) => (
+                <option key={m.value} value={m.value}>
+                  {m.label}
+                </option>
+              ))}
+            </select>,
+          )}
+          {field(
+            "Compare",
+            <div className="row">
+              <select
+                className="select"
+                value={item.op}
+                onChange={(e) => set("op", e.target.value)}
+              >
+                {RULE_OPS.map((op) => (
+                  <option key={op} value={op}>
+                    {op}
+                  </option>
+                ))}
+              </select>
+              <input
+                className="input"
+                type="number"
+                value={item.value}
+                placeholder="value"
+                onChange={(e) => set("value", e.target.value)}
+              />
+            </div>,
+          )}
+          {trigger &&
+            field(
+              "Hold for (seconds)",
+              <input
+                className="input"
+                type="number"
+                min={0}
+                value={item.holdSec}
+                onChange={(e) => set("holdSec", e.target.value)}
+              />,
+            )}
+        </>
+      );
+    case "time":
+      return (
+        <>
+          {field(
+            "At",
+            <input
+              className="input"
+              type="time"
+              value={item.at}
+              onChange={(e) => set("at", e.target.value)}
+            />,
+          )}
+          {field(
+            "Days (none = every day)",
+            <WeekdayPicker
+              value={item.days}
+              onChange={(v) => set("days", v)}
+            />,
+          )}
+        </>
+      );
+    case "time_window":
+      return (
+        <>
+          {field(
+            "Between",
+            <div className="row">
+              <input
+                className="input"
+                type="time"
+                value={item.start}
+                onChange={(e) => set("start", e.target.value)}
+              />
+              <input
+                className="input"
+                type="time"
+                value={item.end}
+                onChange={(e) => set("end", e.target.value)}
+              />
+            </div>,
+          )}
+          {field(
+            "Days (none = every day)",
+            <WeekdayPicker
+              value={item.days}
+              onChange={(v) => set("days", v)}
+            />,
+          )}
+        </>
+      );
+    case "relay":
+    case "set_relay":
+      return (
+        <>
+          {field(
+            "Relay",
+            <ChannelSelect
+              device={device}
+              value={item.ch}
+              onChange={(v) => set("ch", v)}
+            />,
+          )}
+          {field(
+            "State",
+            <select
+              className="select"
+              value={item.state == null ? "" : item.state}
+              onChange={(e) =>
+                set(
+                  "state",
+                  e.target.value === "" ? null : Number(e.target.value),
+                )
+              }
+            >
+              {trigger && <option value="">Any</option>}
+              <option value={1}>ON</option>
+              <option value={0}>OFF</option>
+            </select>,
+          )}
+        </>
+      );
+    case "toggle":
+      return field(
+        "Relay",
+        <ChannelSelect
+          device={device}
+          value={item.ch}
+          onChange={(v) => set("ch", v)}
+        />,
+      );
+    case "start_timer":
+      return (
+        <>
+          {field(
+            "Relay",
+            <ChannelSelect
+              device={device}
+              value={item.ch}
+              onChange={(v) => set("ch", v)}
+            />,
+          )}
+          {field(
+            "Mode / seconds",
+            <div className="row">
+              <select
+                className="select"
+                value={item.mode}
+                onChange={(e) => set("mode", e.target.value)}
+              >
+                <option value="on_for">ON for</option>
+                <option value="off_for">OFF for</option>
+              </select>
+              <input
+                className="input"
+                type="number"
+                min={1}
+                value={item.durationSec}
+                onChange={(e) => set("durationSec", e.target.value)}
+              />
+            </div>,
+          )}
+        </>
+      );
+    case "notify":
+      return (
+        <>
+          {field(
+            "Level",
+            <select
+              className="select"
+              value={item.level}
+              onChange={(e) => set("level", e.target.value)}
+            >
+              <option value="info">Info</option>
+              <option value="success">Success</option>
+              <option value="fault">Fault</option>
+            </select>,
+          )}
+          {field(
+            "Message",
+            <input
+              className="input"
+              value={item.message}
+              placeholder="Rule fired"
+              onChange={(e) => set("message", e.target.value)}
+            />,
+          )}
+        </>
+      );
+    case "run_scene":
+      return field(
+        "Scene",
+        <select
+          className="select"
+          value={item.sceneId}
+          onChange={(e) => set("sceneId", e.target.value)}
+        >
+          <option value="">Select…</option>
+          {scenes.map((sc) => (
+            <option key={sc._id} value={sc._id}>
+              {sc.name}
+            </option>
+          ))}
+        </select>,
+      );
+    case "log":
+      return field(
+        "Message",
+        <input
+          className="input"
+          value={item.message}
+          onChange={(e) => set("message", e.target.value)}
+        />,
+      );
+    case "online":
+      return field(
+        "Device is",
+        <select
+          className="select"
+          value={item.value ? "1" : "0"}
+          onChange={(e) => set("value", e.target.value === "1")}
+        >
+          <option value="1">Online</option>
+          <option value="0">Offline</option>
+        </select>,
+      );
+    default:
+      return null;
+  }
+}
+
+// Editable list of conditions or actions
+function RuleItemList({ device, scenes, items, options, onChange, addLabel }) {
+  return (
+    <>
+      {items.map((item, idx) => (
+        <div key={idx} className="faultRow ruleItem">
+          <div className="faultField">
+            <div className="small">Type</div>
+            <div className="row">
+              <select
+                className="select"
+                value={item.type}
+                onChange={(e) =>
+                  onChange(
+                    items.map((x, i) =>
+                      i === idx
+                        ? {
+                            type: e.target.value,
+                            ...RULE_ITEM_DEFAULTS[e.target.value],
+                          }
+                        : x,
+                    ),
+                  )
+                }
+              >
+                {options.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                className="btn ghost"
+                type="button"
+                title="Remove"
+                onClick={() => onChange(items.filter((_, i) => i !== idx))}
+              >
+                <TrashIcon size={16} />
+              </button>
+            </div>
+          </div>
+          <RuleItemFields
+            device={device}
+            scenes={scenes}
+            item={item}
+            onChange={(next) =>
+              onChange(items.map((x, i) => (i === idx ? next : x)))
+            }
+          />
+        </div>
+      ))}
+      <button
+        className="btn ghost"
+        type="button"
+        style={{ marginTop: 8 }}
+        onClick={() =>
+          onChange([
+            ...items,
+            { type: options[0].value, ...RULE_ITEM_DEFAULTS[options[0].value] },
+          ])
+        }
+      >
+        {addLabel}
+      </button>
+    </>
+  );
+}
+
+const RULE_TRIGGER_DEFAULTS = {
+  telemetry: { metric: "power", op: ">", value: "", holdSec: 0 },
+  time: { at: "07:00", days: [] },
+  relay: { ch: 1, state: null },
+  fault: { fault: "" },
+  offline: {},
+};
+
+function RuleEditorModal({
+  open,
+  onClose,
+  device,
+  scenes,
+  draft,
+  setDraft,
+  onSave,
+  busy,
+}) {
+  if (!open || !draft) return null;
+
+  const t = draft.trigger;
+  const setTrigger = (next) => setDraft((d) => ({ ...d, trigger: next }));
+
+  return (
+    <div className="modalBackdrop" onMouseDown={onClose}>
+      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modalHeader">
+          <div>
+            <div className="modalTitle">
+              {draft._id ? "Edit Rule" : "New Rule"}
+            </div>
+            <div className="small">
+              When the trigger fires and the conditions hold, the actions run in
+              order.
+            </div>
+          </div>
+          <button className="btn ghost" onClick={onClose} type="button">
+            Close
+          </button>
+        </div>
+
+        <div className="faultGrid">
+          <div className="faultGroup">
+            <div className="faultGroupTitle">General</div>
+            <div className="faultRow">
+              <div className="faultField">
+                <div className="small">Name</div>
+                <input
+                  className="input"
+                  value={draft.name}
+                  placeholder="e.g. Heater overload"
+                  onChange={(e) =>
+                    setDraft((d) => ({ ...d, name: e.target.value }))
+                  }
+                />
+              </div>
+              <div className="faultField">
+                <div className="small">Cooldown (seconds)</div>
+                <input
+                  className="input"
+                  type="number"
+                  min={0}
+                  value={draft.cooldownSec}
+                  onChange={(e) =>
+                    setDraft((d) => ({ ...d, cooldownSec: e.target.value }))
+                  }
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="faultGroup">
+            <div className="faultGroupTitle">When</div>
+            <div className="faultRow">
+              <div className="faultField">
+                <div className="small">Trigger</div>
+                <select
+                  className="select"
+                  value={t.type}
+                  onChange={(e) =>
+                    setTrigger({
+                      type: e.target.value,
+                      ...RULE_TRIGGER_DEFAULTS[e.target.value],
+                    })
+                  }
+                >
+                  {RULE_TRIGGERS.map((o) => (
+                    <option key={o.value} value={o.value}>
+                      {o.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {t.type === "fault" ? (
+                <div className="faultField">
+                  <div className="small">Fault</div>
+                  <select
+                    className="select"
+                    value={t.fault}
+                    onChange={(e) =>
+                      setTrigger({ ...t, fault: e.target.value })
+                    }
+                  >
+                    <option value="">Any</option>
+                    {FAULT_TAGS.map((f) => (
+                      <option key={f} value={f}>
+                        {f}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ) : (
+                <RuleItemFields
+                  device={device}
+                  item={t}
+                  onChange={setTrigger}
+                  trigger
+                />
+              )}
+            </div>
+          </div>
+
+          <div className="faultGroup">
+            <div className="faultGroupTitle">
+              Only if{" "}
+              <select
+                className="select"
+                value={draft.conditions.mode}
+                onChange={(e) =>
+                  setDraft((d) => ({
+                    ...d,
+                    conditions: { ...d.conditions, mode: e.target.value },
+                  }))
+                }
+              >
+                <option value="and">all match</option>
+                <option value="or">any matches</option>
+              </select>
+            </div>
+            <RuleItemList
+              device={device}
+              items={draft.conditions.items}
+              options={RULE_CONDITIONS}
+              addLabel="Add condition"
+              onChange={(items) =>
+                setDraft((d) => ({
+                  ...d,
+                  conditions: { ...d.conditions, items },
+                }))
+              }
+            />
+          </div>
+
+          <div className="faultGroup">
+            <div className="faultGroupTitle">Then</div>
+            <RuleItemList
+              device={device}
+              scenes={scenes}
+              items={draft.actions}
+              options={RULE_ACTIONS}
+              addLabel="Add action"
+              onChange={(actions) => setDraft((d) => ({ ...d, actions }))}
+            />
+          </div>
+        </div>
+
+        <div className="modalActions">
+          <button
+            className="btn"
+            type="button"
+            disabled={busy || !draft.actions.length}
+            onClick={onSave}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function RulesPanel({
+  device,
+  scenes,
+  rules,
+  logs,
+  onEdit,
+  onToggle,
+  onRun,
+  onDelete,
+  busy,
+}) {
+  const names = Object.fromEntries(rules.map((r) => [r._id, r.name]));
+
+  return (
+    <>
+      {rules.length === 0 ? (
+        <div className="small">
+          No rules yet. A rule reacts to telemetry, time, relay changes, faults
+          or the device going offline.
+        </div>
+      ) : (
+        <div className="timelineList">
+          {rules.map((r) => (
+            <div key={r._id} className="notifItem">
+              <div className={`notifBadge ${r.enabled ? "success" : "info"}`}>
+                {r.enabled ? "On" : "Off"}
+              </div>
+              <div className="notifBody">
+                <div className="notifTitleRow">
+                  <div className="notifMsg">
+                    <b>{r.name || "Untitled rule"}</b> —{" "}
+                    {describeRule(r, device, scenes)}
+                  </div>
+                  <div className="actions">
+                    <button
+                      className="btn ghost"
+                      type="button"
+                      disabled={busy}
+                      onClick={() => onToggle(r)}
+                    >
+                      {r.enabled ? "Disable" : "Enable"}
+                    </button>
+                    <button
+                      className="btn ghost"
+                      type="button"
+                      disabled={busy}
+                      onClick={() => onRun(r)}
+                    >
+                      Run now
+                    </button>
+                    <button
+                      className="btn ghost"
+                      type="button"
+                      onClick={() => onEdit(r)}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      className="btn ghost"
+                      type="button"
+                      title="Delete"
+                      disabled={busy}
+                      onClick={() => onDelete(r)}
+                    >
+                      <TrashIcon size={16} />
+                    </button>
+                  </div>
+                </div>
+                <div className="notifMeta">
+                  Fired {r.fireCount || 0}×
+                  {r.lastFiredAt
+                    ? ` • last ${new Date(r.lastFiredAt).toLocaleString([], { hour12: false })}`
+                    : ""}
+                  {r.cooldownSec ? ` • cooldown ${r.cooldownSec}s` : ""}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {logs.length > 0 && (
+        <div className="chartCard" style={{ marginTop: 12 }}>
+          <div className="chartTitle">Recent firings</div>
+          <div className="timelineList">
+            {logs.map((l) => (
+              <div key={l._id} className="notifItem">
+                <div className="notifBadge info">{l.event?.type || "rule"}</div>
+                <div className="notifBody">
+                  <div className="notifMsg">
+                    {names[l.ruleId] ?? l.name ?? "Deleted rule"}
+                    {(l.messages || []).filter(Boolean).length
+                      ? ` • ${l.messages.filter(Boolean).join(" • ")}`
+                      : ""}
+                  </div>
+                  <div className="notifMeta">
+                    {new Date(l.createdAt).toLocaleString([], {
+                      hour12: false,
+                    })}
+                    {" • "}
+                    {(l.actions || [])
+                      .map((a) =>
+                        a.error
+                          ? `${a.type}: ${a.error}`
+                          : a.skipped
+                            ? `${a.type}: skipped (${a.skipped})`
+                            : a.type,
+                      )
+                      .join(", ")}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+function newSceneDraft() {
+  return { name: "", steps: [{ ch: 1, state: 1, delaySec: 0 }] };
+}
+
+function secondsUntil(at) {
+  return at
+    ? Math.max(0, Math.ceil((new Date(at).getTime() - Date.now()) / 1000))
+    : 0;
+}
+
+function SceneEditorModal({
+  open,
+  onClose,
+  device,
+  draft,
+  setDraft,
+  onSave,
+  busy,
+}) {
+  if (!open || !draft) return null;
+
+  const setStep = (i, key, value) =>
+    setDraft((d) => ({
+      ...d,
+      steps: d.steps.map((st, j) => (j === i ? { ...st, [key]: value } : st)),
+    }));
+  const moveStep = (i, dir) =>
+    setDraft((d) => {
+      const steps = [...d.steps];
+      [steps[i], steps[i + dir]] = [steps[i + dir], steps[i]];
+      return { ...d, steps };
+    });
+
+  return (
+    <div className="modalBackdrop" onMouseDown={onClose}>
+      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modalHeader">
+          <div>
+            <div className="modalTitle">
+              {draft._id ? "Edit Scene" : "New Scene"}
+            </div>
+            <div className="small">
+              Steps run top to bottom. Each waits its delay after the previous
+              step before switching.
+            </div>
+          </div>
+          <button className="btn ghost" onClick={onClose} type="button">
+            Close
+          </button>
+        </div>
+
+        <div className="faultGrid">
+          <div className="faultGroup">
+            <div className="faultGroupTitle">General</div>
+            <div className="faultRow">
+              <div className="faultField">
+                <div className="small">Name</div>
+                <input
+                  className="input"
+                  value={draft.name}
+                  placeholder="e.g. Evening"
+                  onChange={(e) =>
+                    setDraft((d) => ({ ...d, name: e.target.value }))
+                  }
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="faultGroup">
+            <div className="faultGroupTitle">Steps</div>
+            {draft.steps.map((st, i) => (
+              <div key={i} className="faultRow ruleItem">
+                <div className="faultField">
+                  <div className="small">Wait (seconds)</div>
+                  <input
+                    className="input"
+                    type="number"
+                    min={0}
+                    value={st.delaySec}
+                    onChange={(e) => setStep(i, "delaySec", e.target.value)}
+                  />
+                </div>
+                <div className="faultField">
+                  <div className="small">Relay</div>
+                  <ChannelSelect
+                    device={device}
+                    value={st.ch}
+                    onChange={(v) => setStep(i, "ch", v)}
+                  />
+                </div>
+                <div className="faultField">
+                  <div className="small">State</div>
+                  <select
+                    className="select"
+                    value={st.state}
+                    onChange={(e) =>
+                      setStep(i, "state", Number(e.target.value))
+                    }
+                  >
+                    <option value={1}>ON</option>
+                    <option value={0}>OFF</option>
+                  </select>
+                </div>
+                <div className="actions">
+                  <button
+                    className="btn ghost"
+                    type="button"
+                    title="Move up"
+                    disabled={i === 0}
+                    onClick={() => moveStep(i, -1)}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    className="btn ghost"
+                    type="button"
+                    title="Move down"
+                    disabled={i === draft.steps.length - 1}
+                    onClick={() => moveStep(i, 1)}
+                  >
+                    ↓
+                  </button>
+                  <button
+                    className="btn ghost"
+                    type="button"
+                    title="Remove"
+                    disabled={draft.steps.length === 1}
+                    onClick={() =>
+                      setDraft((d) => ({
+                        ...d,
+                        steps: d.steps.filter((_, j) => j !== i),
+                      }))
+                    }
+                  >
+                    <TrashIcon size={16} />
+                  </button>
+                </div>
+              </div>
+            ))}
+            <button
+              className="btn ghost"
+              type="button"
+              disabled={draft.steps.length >= 20}
+              onClick={() =>
+                setDraft((d) => ({
+                  ...d,
+                  steps: [...d.steps, { ch: 1, state: 0, delaySec: 0 }],
+                }))
+              }
+            >
+              Add step
+            </button>
+          </div>
+        </div>
+
+        <div className="modalActions">
+          <button
+            className="btn"
+            type="button"
+            disabled={busy || !draft.name.trim() || !draft.steps.length}
+            onClick={onSave}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ScenesPanel({
+  device,
+  scenes,
+  runs,
+  onEdit,
+  onRun,
+  onCancel,
+  onDelete,
+  busy,
+}) {
+  const running = runs.filter((r) => r.status === "running");
+  const recent = runs.filter((r) => r.status !== "running").slice(0, 5);
+  const describeSteps = (steps) =>
+    steps
+      .map(
+        (st) =>
+          `${st.delaySec ? `+${st.delaySec}s ` : ""}${channelLabel(device, st.ch)} ${st.state ? "ON" : "OFF"}`,
+      )
+      .join(" → ");
+
+  return (
+    <>
+      {running.map((r) => (
+        <div key={r._id} className="notifItem">
+          <div className="notifBadge success">Running</div>
+          <div className="notifBody">
+            <div className="notifTitleRow">
+              <div className="notifMsg">
+                <b>{r.name}</b> — step {Math.min(r.stepIndex + 1, r.stepCount)}/
+                {r.stepCount}
+                {r.nextAt ? ` • next in ${secondsUntil(r.nextAt)}s` : ""}
+              </div>
+              <button
+                className="btn ghost"
+                type="button"
+                disabled={busy}
+                onClick={() => onCancel(r)}
+              >
+                Cancel
+              </button>
+            </div>
+            <div className="notifMeta">Started by {r.source}</div>
+          </div>
+        </div>
+      ))}
+
+      {scenes.length === 0 ? (
+        <div className="small">
+          No scenes yet. A scene switches several relays in order, with an
+          optional wait before each step.
+        </div>
+      ) : (
+        <div className="timelineList">
+          {scenes.map((sc) => (
+            <div key={sc._id} className="notifItem">
+              <div className="notifBadge info">{sc.steps.length} steps</div>
+              <div className="notifBody">
+                <div className="notifTitleRow">
+                  <div className="notifMsg">
+                    <b>{sc.name}</b> — {describeSteps(sc.steps)}
+                  </div>
+                  <div className="actions">
+                    <button
+                      className="btn ghost"
+                      type="button"
+                      disabled={busy}
+                      onClick={() => onRun(sc)}
+                    >
+                      Run
+                    </button>
+                    <button
+                      className="btn ghost"
+                      type="button"
+                      onClick={() => onEdit(sc)}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      className="btn ghost"
+                      type="button"
+                      title="Delete"
+                      disabled={busy}
+                      onClick={() => onDelete(sc)}
+                    >
+                      <TrashIcon size={16} />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {recent.length > 0 && (
+        <div className="chartCard" style={{ marginTop: 12 }}>
+          <div className="chartTitle">Recent runs</div>
+          <div className="timelineList">
+            {recent.map((r) => (
+              <div key={r._id} className="notifItem">
+                <div className="notifBadge info">
+                  {r.status === "done" ? "Done" : "Cancelled"}
+                </div>
+                <div className="notifBody">
+                  <div className="notifMsg">
+                    {r.name}
+                    {r.skipped?.length
+                      ? ` • ${r.skipped.length} step(s) skipped (prepaid balance)`
+                      : ""}
+                  </div>
+                  <div className="notifMeta">
+                    {new Date(r.createdAt).toLocaleString([], {
+                      hour12: false,
+                    })}
+                    {" • "}
+                    {r.source}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+const CONNECTION_KINDS = {
+  boot: { label: "Boot", badge: "info" },
+  reconnect: { label: "Reconnect", badge: "info" },
+  online: { label: "Online", badge: "success" },
+  offline: { label: "Offline", badge: "fault" },
+  ip_change: { label: "IP change", badge: "info" },
+  relay_restored: { label: "Relay restored", badge: "success" },
+  relay_changed: { label: "Relay changed", badge: "info" },
+};
+
+function ConnectivityTimeline({ data }) {
+  const presence = data?.presence || null;
+  const events = data?.events || [];
+  const rssi = data?.rssi || [];
+
+  return (
+    <>
+      <div className="overviewLine">
+        <Stat
+          label="Presence"
+          value={presence ? (presence.online ? "ONLINE" : "OFFLINE") : "—"}
+          hint={
+            presence?.since
+              ? `since ${new Date(presence.since).toLocaleString([], {
+                  hour12: false,
+                })}`
+              : null
+          }
+        />
+        <Stat label="IP" value={presence?.ip || "—"} />
+        <Stat label="Boots (24h)" value={data?.stats?.boots ?? "—"} />
+        <Stat label="Reconnects (24h)" value={data?.stats?.reconnects ?? "—"} />
+        <Stat label="Drop-outs (24h)" value={data?.stats?.offline ?? "—"} />
+      </div>
+
+      <div className="connGrid">
+        <div className="chartCard">
+          <div className="chartTitle">Connection timeline</div>
+          <div className="timelineList">
+            {events.length ? (
+              events.map((ev) => {
+                const k = CONNECTION_KINDS[ev.kind] || {
+                  label: ev.kind,
+                  badge: "info",
+                };
+                return (
+                  <div key={ev._id} className="notifItem">
+                    <div className={`notifBadge ${k.badge}`}>{k.label}</div>
+                    <div className="notifBody">
+                      <div className="notifMsg">
+                        {ev.kind === "ip_change"
+                          ? `${ev.meta?.from || "?"} → ${ev.meta?.to || "?"}`
+                          : ev.ip || ev.reason || "—"}
+                      </div>
+                      <div className="notifMeta">
+                        {new Date(ev.createdAt).toLocaleString([], {
+                          hour12: false,
+                        })}
+                        {typeof ev.rssi === "number" ? (
+                          <> • {ev.rssi} dBm</>
+                        ) : null}
+                      </div>
+                    </div>
+                  </div>
+                );
+              })
+            ) : (
+              <div className="small">No connection events in the last 24h.</div>
+            )}
+          </div>
+        </div>
+
+        <div className="chartCard">
+          <div className="chartTitle">RSSI (dBm)</div>
+          <div className="chartBox">
+            {rssi.length === 0 ? (
+              <div className="small">No RSSI data yet.</div>
+            ) : (
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart
+                  data={rssi}
+                  margin={{ top: 10, right: 18, bottom: 0, left: 0 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis
+                    dataKey="t"
+                    type="number"
+                    domain={["dataMin", "dataMax"]}
+                    tickFormatter={formatTime}
+                    minTickGap={28}
+                  />
+                  <YAxis width={52} domain={["auto", "auto"]} />
+                  <Tooltip
+                    labelFormatter={(label) => `Time: ${formatTime(label)}`}
+                    formatter={(val) => [
+                      `${Number(val).toFixed(0)} dBm`,
+                      "RSSI",
+                    ]}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="rssi"
+                    dot={false}
+                    stroke="#fbbf24"
+                    strokeWidth={2}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+const FORENSICS_MODES = {
+  power: { keys: ["p1", "p3"], unit: "W", digits: 1 },
+  current: { keys: ["i1", "i3"], unit: "A", digits: 3 },
+  voltage: { keys: ["v1", "v3"], unit: "V", digits: 1 },
+};
+
+// Telemetry around a trip with the relay commands of that window overlaid
+function ForensicsModal({ forensics, device, onClose }) {
+  const [mode, setMode] = useState("power");
+  if (!forensics) return null;
+
+  const { event, data } = forensics;
+  const m = FORENSICS_MODES[mode];
+  const at = data ? new Date(data.at).getTime() : null;
+
+  return (
+    <div className="modalBackdrop" onMouseDown={onClose}>
+      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modalHeader">
+          <div>
+            <div className="modalTitle">Incident</div>
+            <div className="small">
+              {event.message}
+              {data?.status === "pending"
+                ? ` • still recording until ${formatTime(new Date(data.to).getTime())}`
+                : ""}
+            </div>
+          </div>
+          <button className="btn ghost" onClick={onClose} type="button">
+            Close
+          </button>
+        </div>
+
+        <div className="tabs" style={{ marginBottom: 8 }}>
+          {Object.keys(FORENSICS_MODES).map((k) => (
+            <button
+              key={k}
+              className={`tabBtn ${mode === k ? "active" : ""}`}
+              onClick={() => setMode(k)}
+              type="button"
+            >
+              {k[0].toUpperCase() + k.slice(1)}
+            </button>
+          ))}
+        </div>
+
+        <div className="chartBox">
+          {!data ? (
+            <div className="small">Loading…</div>
+          ) : data.samples.length === 0 ? (
+            <div className="small">No telemetry in this window.</div>
+          ) : (
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart
+                data={data.samples}
+                margin={{ top: 10, right: 18, bottom: 0, left: 0 }}
+              >
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="t"
+                  type="number"
+                  domain={[
+                    new Date(data.from).getTime(),
+                    new Date(data.to).getTime(),
+                  ]}
+                  tickFormatter={formatTime}
+                  minTickGap={28}
+                />
+                <YAxis width={52} domain={["auto", "auto"]} />
+                <Tooltip
+                  labelFormatter={(label) => `Time: ${formatTime(label)}`}
+                  formatter={(val, name) => {
+                    const n = Number(val);
+                    if (Number.isNaN(n)) return ["—", name];
+                    return [`${n.toFixed(m.digits)} ${m.unit}`, name];
+                  }}
+                />
+                {data.commands.map((c) => (
+                  <ReferenceLine
+                    key={`${c.t}-${c.ch}`}
+                    x={c.t}
+                    stroke={c.state ? "#34d399" : "#94a3b8"}
+                    strokeDasharray="4 3"
+                    label={{
+                      value: `CH${c.ch} ${c.state ? "ON" : "OFF"}`,
+                      position: "insideTopLeft",
+                      fontSize: 10,
+                    }}
+                  />
+                ))}
+                <ReferenceLine
+                  x={at}
+                  stroke="#f87171"
+                  strokeWidth={2}
+                  label={{ value: "Trip", position: "insideTopRight" }}
+                />
+                <Line
+                  type="monotone"
+                  dataKey={m.keys[0]}
+                  name={channelLabel(device, 1)}
+                  dot={false}
+                  stroke="#60a5fa"
+                  strokeWidth={2}
+                  isAnimationActive={false}
+                />
+                <Line
+                  type="monotone"
+                  dataKey={m.keys[1]}
+                  name={channelLabel(device, 3)}
+                  dot={false}
+                  stroke="#34d399"
+                  strokeWidth={2}
+                  isAnimationActive={false}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+
+        {data?.commands.length ? (
+          <div className="timelineList" style={{ marginTop: 8 }}>
+            {data.commands.map((c) => (
+              <div key={`${c.t}-${c.ch}`} className="small">
+                {formatTime(c.t)} • {channelLabel(device, c.ch)}{" "}
+                {c.state ? "ON" : "OFF"}
+                {c.reason ? ` (${c.reason})` : ""} • {c.status}
+              </div>
+            ))}
+          </div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+const OPERATOR_NAME_KEY = "gridsense.operator";
+
+const INBOX_FILTER = { level: "", fault: "", from: "", to: "", unread: false };
+
+// Inbox filter -> query params (dates are local calendar days)
+function inboxParams(filter) {
+  return {
+    ...(filter.level && { level: filter.level }),
+    ...(filter.fault && { fault: filter.fault }),
+    ...(filter.from && { from: new Date(`${filter.from}T00:00`).getTime() }),
+    ...(filter.to && { to: new Date(`${filter.to}T23:59:59.999`).getTime() }),
+    ...(filter.unread && { unread: "1" }),
+  };
+}
+
+// Does a live event belong in the currently filtered inbox?
+function inboxMatches(ev, filter) {
+  const q = inboxParams(filter);
+  const at = new Date(ev.createdAt).getTime();
+  if (q.level && ev.level !== q.level) return false;
+  if (
+    q.fault &&
+    !String(ev.fault || "")
+      .split("|")
+      .includes(q.fault)
+  ) {
+    return false;
+  }
+  if (q.from && at < q.from) return false;
+  if (q.to && at > q.to) return false;
+  return !(q.unread && ev.readAt);
+}
+
+function FaultNotificationsPanel({
+  open,
+  onClose,
+  events,
+  unreadCount,
+  filter,
+  setFilter,
+  operator,
+  setOperator,
+  hasMore,
+  loading,
+  onLoadMore,
+  onMarkAllRead,
+  onToggleRead,
+  onAck,
+  onDeleteEvent,
+  onDeleteAll,
+  onOpenForensics,
+}) {
+  if (!open) return null;
+
+  const set = (k) => (e) =>
+    setFilter((f) => ({
+      ...f,
+      [k]: e.target.type === "checkbox" ? e.target.checked : e.target.value,
+    }));
+
+  return (
+    <div
+      className="notifBackdrop"
+      role="presentation"
+      onMouseDown={onClose} // click outside closes
+    >
+      <div
+        className="notifPanel"
+        role="dialog"
+        aria-label="Fault notifications"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <div className="notifHeader">
+          <div>
+            <div className="notifTitleRow">
+              <div className="notifTitle">Fault Notifications</div>
+
+              <div className="row" style={{ gap: 6 }}>
+                <span className={`chip ${unreadCount ? "warn" : "muted"}`}>
+                  {unreadCount} unread
+                </span>
+                <button
+                  className="btn ghost"
+                  type="button"
+                  onClick={() => onMarkAllRead?.()}
+                  disabled={!unreadCount}
+                  title="Mark every notification matching the filters as read"
+                >
+                  Mark all read
+                </button>
+                <button
+                  className="iconBtn danger"
+                  type="button"
+                  title="Delete all notifications"
+                  onClick={() => onDeleteAll?.()}
+                  disabled={!events?.length}
+                >
+                  🗑️
+                </button>
+              </div>
+            </div>
+
+            <div className="notifFilters">
+              <select
+                className="select"
+                value={filter.level}
+                onChange={set("level")}
+              >
+                <option value="">All levels</option>
+                <option value="fault">Fault</option>
+                <option value="success">Success</option>
+                <option value="info">Info</option>
+              </select>
+              <select
+                className="select"
+                value={filter.fault}
+                onChange={set("fault")}
+              >
+                <option value="">All faults</option>
+                {FAULT_TAGS.map((t) => (
+                  <option key={t} value={t}>
+                    {t}
+                  </option>
+                ))}
+              </select>
+              <input
+                className="input"
+                type="date"
+                value={filter.from}
+                onChange={set("from")}
+                title="From day"
+              />
+              <input
+                className="input"
+                type="date"
+                value={filter.to}
+                onChange={set("to")}
+                title="To day"
+              />
+              <label className="check small">
+                <input
+                  type="checkbox"
+                  checked={filter.unread}
+                  onChange={set("unread")}
+                />
+                Unread only
+              </label>
+            </div>
+
+            <input
+              className="input notifOperator"
+              value={operator}
+              onChange={(e) => setOperator(e.target.value)}
+              placeholder="Your name (for acknowledgements)"
+              maxLength={64}
+            />
+          </div>
+        </div>
+
+        <div className="notifList">
+          {events?.length ? (
+            events.map((ev) => (
+              <div
+                key={ev._id}
+                className={`notifItem ${ev.readAt ? "" : "unread"}`}
+              >
+                <div className={`notifBadge ${ev.level}`}>
+                  {ev.level === "fault"
+                    ? "FAULT"
+                    : ev.level === "success"
+                      ? "SUCCESS"
+                      : "INFO"}
+                </div>
+
+                <div className="notifBody">
+                  <div className="notifMsg">{ev.message || "—"}</div>
+                  <div className="notifMeta">
+                    <span>
+                      {new Date(ev.createdAt).toLocaleString([], {
+                        hour12: false,
+                      })}
+                    </span>
+                    {ev.fault ? (
+                      <span className="notifFault"> • {ev.fault}</span>
+                    ) : null}
+                  </div>
+                  {ev.ackAt ? (
+                    <div className="notifMeta notifAck">
+                      ✓ Acknowledged by {ev.ackBy} at{" "}
+                      {new Date(ev.ackAt).toLocaleString([], {
+                        hour12: false,
+                      })}
+                    </div>
+                  ) : null}
+                </div>
+
+                {!ev.ackAt ? (
+                  <button
+                    className="iconBtn"
+                    type="button"
+                    title={
+                      operator.trim()
+                        ? `Acknowledge as ${operator.trim()}`
+                        : "Enter your name above to acknowledge"
+                    }
+                    onClick={() => onAck?.(ev)}
+                    disabled={!operator.trim()}
+                  >
+                    ✓
+                  </button>
+                ) : null}
+
+                <button
+                  className="iconBtn"
+                  type="button"
+                  title={ev.readAt ? "Mark as unread" : "Mark as read"}
+                  onClick={() => onToggleRead?.(ev)}
+                >
+                  {ev.readAt ? "○" : "●"}
+                </button>
+
+                {ev.forensics ? (
+                  <button
+                    className="iconBtn"
+                    type="button"
+                    title="Show incident chart"
+                    onClick={() => onOpenForensics?.(ev)}
+                  >
+                    📈
+                  </button>
+                ) : null}
+
+                <button
+                  className="iconBtn danger"
+                  type="button"
+                  title="Delete notification"
+                  onClick={() => onDeleteEvent?.(ev._id)}
+                >
+                  🗑️
+                </button>
+              </div>
+            ))
+          ) : (
+            <div className="small" style={{ padding: 10 }}>
+              {loading ? "Loading…" : "No notifications match."}
+            </div>
+          )}
+
+          {hasMore ? (
+            <button
+              className="btn ghost notifMore"
+              type="button"
+              onClick={() => onLoadMore?.()}
+              disabled={loading}
+            >
+              {loading ? "Loading…" : "Load older"}
+            </button>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const NOTIFY_EVENT_LABELS = {
+  fault: "Fault trips and resets",
+  voltage: "Voltage guard cuts and restores",
+  load_shed: "Load shedding",
+  automation: "Vacation mode and rule notices",
+  prepaid: "Prepaid balance",
+};
+const NOTIFY_TEMPLATE_NAMES = [
+  ...Object.keys(NOTIFY_EVENT_LABELS),
+  "digest",
+  "held",
+];
+
+function notifyDraftFrom(pref, user) {
+  return {
+    user,
+    email: pref?.email || "",
+    emailEnabled: !!pref?.emailEnabled,
+    pushEnabled: !!pref?.pushEnabled,
+    events: pref?.events || ["fault", "voltage"],
+    templates: pref?.templates || {},
+    tz: pref?.tz || browserTimeZone(),
+    quietHours: {
+      enabled: !!pref?.quietHours?.enabled,
+      start: pref?.quietHours?.start || "22:00",
+      end: pref?.quietHours?.end || "07:00",
+      allowFaults: pref?.quietHours?.allowFaults ?? true,
+    },
+    dedupMin: pref?.dedupMin ?? 15,
+    maxPerHour: pref?.maxPerHour ?? 12,
+    digest: {
+      enabled: !!pref?.digest?.enabled,
+      at: pref?.digest?.at || "08:00",
+    },
+  };
+}
+
+function urlBase64ToUint8Array(b64) {
+  const raw = atob(
+    (b64 + "=".repeat((4 - (b64.length % 4)) % 4))
+      .replace(/-/g, "+")
+      .replace(/_/g, "/"),
   );
+  return Uint8Array.from(raw, (c) => c.charCodeAt(0));
 }
 
-function FaultSettingsModal({
+// Register the service worker and subscribe this browser for push
+async function subscribeBrowserPush(vapidPublicKey) {
+  if (!("serviceWorker" in navigator) || !("PushManager" in window)) {
+    throw new Error("This browser does not support push notifications.");
+  }
+  const reg = await navigator.serviceWorker.register("/sw.js");
+  if ((await Notification.requestPermission()) !== "granted") {
+    throw new Error("Notifications are blocked for this site.");
+  }
+  const existing = await reg.pushManager.getSubscription();
+  const sub =
+    existing ||
+    (await reg.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(vapidPublicKey),
+    }));
+  return sub.toJSON();
+}
+
+function NotifySettingsModal({
   open,
   onClose,
+  config,
+  prefs,
   draft,
   setDraft,
+  log,
+  busy,
+  onPickUser,
   onSave,
-  onResetLatch,
-  latched,
-  onUserEdit,
+  onDelete,
+  onEnablePush,
+  onTest,
+  onSendDigest,
 }) {
-  if (!open) return null;
+  const [templateName, setTemplateName] = useState("fault");
+
+  if (!open || !draft) return null;
+
+  const pref = prefs.find((p) => p.user === draft.user.trim());
+  const pushCount = pref?.pushSubscriptions?.length || 0;
+  const set = (key, value) => setDraft((d) => ({ ...d, [key]: value }));
+  const setIn = (group, key, value) =>
+    setDraft((d) => ({ ...d, [group]: { ...d[group], [key]: value } }));
+  const toggleEvent = (name, on) =>
+    set(
+      "events",
+      on ? [...draft.events, name] : draft.events.filter((e) => e !== name),
+    );
+  const template = draft.templates[templateName] || {};
+  const defaults = config?.templates?.[templateName] || {};
+  const setTemplate = (key, value) =>
+    set("templates", {
+      ...draft.templates,
+      [templateName]: { ...template, [key]: value },
+    });
 
   return (
     <div className="modalBackdrop" onMouseDown={onClose}>
-      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+      <div className="modal scroll" onMouseDown={(e) => e.stopPropagation()}>
         <div className="modalHeader">
           <div>
-            <div className="modalTitle">Fault Settings</div>
+            <div className="modalTitle">Notifications</div>
             <div className="small">
-              Leave a field empty to disable that bound.
+              Email and browser push for this device, per person. Events go out
+              even when nobody has the dashboard open.
             </div>
           </div>
           <button className="btn ghost" onClick={onClose} type="button">
@@ -685,90 +4271,299 @@ function FaultSettingsModal({
           </button>
         </div>
 
-        <div
-          className={`chip ${latched ? "warn" : "muted"}`}
-          style={{ marginBottom: 12 }}
-        >
-          {latched ? (
-            <>
-              Trip is <b>LATCHED</b> (system already tripped)
-            </>
-          ) : (
-            <>
-              Fault latch: <b>OK</b>
-            </>
-          )}
-        </div>
-
         <div className="faultGrid">
           <div className="faultGroup">
-            <div className="faultGroupTitle">Voltage (V)</div>
+            <div className="faultGroupTitle">Recipient</div>
             <div className="faultRow">
-              <FaultNumberField
-                label="Min"
-                value={draft.vMin}
-                placeholder="e.g. 180"
-                onUserEdit={onUserEdit}
-                onChange={(v) => setDraft((s) => ({ ...s, vMin: v }))}
+              <div className="faultField">
+                <div className="small">Name</div>
+                <input
+                  className="input"
+                  value={draft.user}
+                  placeholder="e.g. Rahim"
+                  maxLength={64}
+                  onChange={(e) => set("user", e.target.value)}
+                />
+              </div>
+              <div className="faultField">
+                <div className="small">Email</div>
+                <input
+                  className="input"
+                  type="email"
+                  value={draft.email}
+                  placeholder="name@example.com"
+                  onChange={(e) => set("email", e.target.value)}
+                />
+              </div>
+            </div>
+            {prefs.length ? (
+              <div className="row" style={{ marginTop: 8, gap: 6 }}>
+                {prefs.map((p) => (
+                  <button
+                    key={p._id}
+                    className={`chip ${p.user === draft.user ? "warn" : ""}`}
+                    type="button"
+                    onClick={() => onPickUser(p.user)}
+                  >
+                    {p.user}
+                  </button>
+                ))}
+              </div>
+            ) : null}
+          </div>
+
+          <div className="faultGroup">
+            <div className="faultGroupTitle">Channels</div>
+            <label className="check">
+              <input
+                type="checkbox"
+                checked={draft.emailEnabled}
+                onChange={(e) => set("emailEnabled", e.target.checked)}
               />
-              <FaultNumberField
-                label="Max"
-                value={draft.vMax}
-                placeholder="e.g. 250"
-                onUserEdit={onUserEdit}
-                onChange={(v) => setDraft((s) => ({ ...s, vMax: v }))}
+              Email
+              {!config?.email ? (
+                <span className="chip warn">SMTP not configured</span>
+              ) : null}
+            </label>
+            <label className="check" style={{ marginTop: 8 }}>
+              <input
+                type="checkbox"
+                checked={draft.pushEnabled}
+                onChange={(e) => set("pushEnabled", e.target.checked)}
               />
-            </div>
+              Browser push ({pushCount} browser{pushCount === 1 ? "" : "s"})
+              <button
+                className="btn ghost"
+                type="button"
+                onClick={onEnablePush}
+                disabled={busy || !config?.push || !draft.user.trim()}
+                title={
+                  config?.push
+                    ? "Subscribe this browser"
+                    : "VAPID keys are not configured on the server"
+                }
+              >
+                Enable on this browser
+              </button>
+            </label>
           </div>
 
           <div className="faultGroup">
-            <div className="faultGroupTitle">Current (A)</div>
-            <div className="faultRow">
-              <FaultNumberField
-                label="Min"
-                value={draft.iMin}
-                placeholder="e.g. 0.05"
-                onUserEdit={onUserEdit}
-                onChange={(v) => setDraft((s) => ({ ...s, iMin: v }))}
+            <div className="faultGroupTitle">Events</div>
+            {Object.entries(NOTIFY_EVENT_LABELS).map(([name, label]) => (
+              <label key={name} className="check">
+                <input
+                  type="checkbox"
+                  checked={draft.events.includes(name)}
+                  onChange={(e) => toggleEvent(name, e.target.checked)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          <div className="faultGroup">
+            <div className="faultGroupTitle">Quiet hours and limits</div>
+            <label className="check">
+              <input
+                type="checkbox"
+                checked={draft.quietHours.enabled}
+                onChange={(e) =>
+                  setIn("quietHours", "enabled", e.target.checked)
+                }
               />
-              <FaultNumberField
-                label="Max"
-                value={draft.iMax}
-                placeholder="e.g. 2.5"
-                onUserEdit={onUserEdit}
-                onChange={(v) => setDraft((s) => ({ ...s, iMax: v }))}
+              Stay quiet from
+              <input
+                className="input"
+                type="time"
+                value={draft.quietHours.start}
+                onChange={(e) => setIn("quietHours", "start", e.target.value)}
               />
+              to
+              <input
+                className="input"
+                type="time"
+                value={draft.quietHours.end}
+                onChange={(e) => setIn("quietHours", "end", e.target.value)}
+              />
+            </label>
+            <label className="check" style={{ margin: "8px 0" }}>
+              <input
+                type="checkbox"
+                checked={draft.quietHours.allowFaults}
+                onChange={(e) =>
+                  setIn("quietHours", "allowFaults", e.target.checked)
+                }
+              />
+              Faults still notify during quiet hours
+            </label>
+            <div className="small" style={{ marginBottom: 8 }}>
+              Anything held back is sent as one summary when quiet hours end.
+            </div>
+            <div className="faultRow">
+              <div className="faultField">
+                <div className="small">Time zone</div>
+                <TimeZoneInput
+                  id="notifyTz"
+                  value={draft.tz}
+                  onChange={(v) => set("tz", v)}
+                />
+              </div>
+              <div className="faultField">
+                <div className="small">
+                  Repeat of the same event after (min)
+                </div>
+                <input
+                  className="input"
+                  type="number"
+                  min={0}
+                  value={draft.dedupMin}
+                  onChange={(e) => set("dedupMin", e.target.value)}
+                />
+              </div>
+              <div className="faultField">
+                <div className="small">At most events per hour</div>
+                <input
+                  className="input"
+                  type="number"
+                  min={1}
+                  value={draft.maxPerHour}
+                  onChange={(e) => set("maxPerHour", e.target.value)}
+                />
+              </div>
             </div>
           </div>
 
           <div className="faultGroup">
-            <div className="faultGroupTitle">Power (W)</div>
-            <div className="faultRow">
-              <FaultNumberField
-                label="Min"
-                value={draft.pMin}
-                placeholder="e.g. 5"
-                onUserEdit={onUserEdit}
-                onChange={(v) => setDraft((s) => ({ ...s, pMin: v }))}
+            <div className="faultGroupTitle">Daily digest</div>
+            <label className="check">
+              <input
+                type="checkbox"
+                checked={draft.digest.enabled}
+                onChange={(e) => setIn("digest", "enabled", e.target.checked)}
               />
-              <FaultNumberField
-                label="Max"
-                value={draft.pMax}
-                placeholder="e.g. 500"
-                onUserEdit={onUserEdit}
-                onChange={(v) => setDraft((s) => ({ ...s, pMax: v }))}
+              Send a summary of energy, faults and automation every day at
+              <input
+                className="input"
+                type="time"
+                value={draft.digest.at}
+                onChange={(e) => setIn("digest", "at", e.target.value)}
+              />
+              <button
+                className="btn ghost"
+                type="button"
+                onClick={onSendDigest}
+                disabled={busy || !pref}
+              >
+                Send now
+              </button>
+            </label>
+          </div>
+
+          <div className="faultGroup">
+            <div className="faultGroupTitle">Message templates</div>
+            <div className="small" style={{ marginBottom: 8 }}>
+              Placeholders: {"{{device}} {{deviceId}} {{message}} {{fault}}"}{" "}
+              {"{{level}} {{kind}} {{time}}"}; the digest has{" "}
+              {"{{date}} {{summary}}"}, the summary of events held during quiet
+              hours {"{{count}} {{summary}}"}. Leave empty for the default.
+            </div>
+            <div className="faultRow">
+              <div className="faultField">
+                <div className="small">Template</div>
+                <select
+                  className="select"
+                  value={templateName}
+                  onChange={(e) => setTemplateName(e.target.value)}
+                >
+                  {NOTIFY_TEMPLATE_NAMES.map((n) => (
+                    <option key={n} value={n}>
+                      {n}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="faultField">
+                <div className="small">Subject</div>
+                <input
+                  className="input"
+                  value={template.subject || ""}
+                  placeholder={defaults.subject}
+                  onChange={(e) => setTemplate("subject", e.target.value)}
+                />
+              </div>
+            </div>
+            <div className="faultField" style={{ marginTop: 8 }}>
+              <div className="small">Body</div>
+              <textarea
+                className="input"
+                rows={4}
+                value={template.body || ""}
+                placeholder={defaults.body}
+                onChange={(e) => setTemplate("body", e.target.value)}
               />
             </div>
           </div>
+
+          {log.length ? (
+            <div className="faultGroup">
+              <div className="faultGroupTitle">Recent deliveries</div>
+              <div className="timelineList">
+                {log.map((r) => (
+                  <div key={r._id} className="notifItem">
+                    <div
+                      className={`notifBadge ${
+                        r.status === "sent"
+                          ? "success"
+                          : r.status === "failed"
+                            ? "fault"
+                            : "info"
+                      }`}
+                    >
+                      {r.status.replace("_", " ").toUpperCase()}
+                    </div>
+                    <div className="notifBody">
+                      <div className="notifMsg">{r.subject || r.key}</div>
+                      <div className="notifMeta">
+                        {new Date(r.createdAt).toLocaleString([], {
+                          hour12: false,
+                        })}
+                        {r.channel ? ` • ${r.channel}` : ""}
+                        {r.error ? ` • ${r.error}` : ""}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ) : null}
         </div>
 
         <div className="modalActions">
-          {latched && (
-            <button className="btn" type="button" onClick={onResetLatch}>
-              Reset Fault
+          {pref ? (
+            <button
+              className="btn ghost"
+              type="button"
+              onClick={onDelete}
+              disabled={busy}
+            >
+              Delete
             </button>
-          )}
-          <button className="btn" type="button" onClick={onSave}>
+          ) : null}
+          <button
+            className="btn ghost"
+            type="button"
+            onClick={onTest}
+            disabled={busy || !pref}
+          >
+            Send test
+          </button>
+          <button
+            className="btn"
+            type="button"
+            onClick={onSave}
+            disabled={busy || !draft.user.trim()}
+          >
             Save
           </button>
         </div>
@@ -777,102 +4572,299 @@ function FaultSettingsModal({
   );
 }
 
-function FaultNotificationsPanel({
+const WEBHOOK_EVENT_LABELS = {
+  "relay.command": "Relay commands",
+  "relay.changed": "Relay changes",
+  "fault.event": "Faults and automation events",
+  "telemetry.summary": "Telemetry summary (every minute)",
+  "device.online": "Device online",
+  "device.offline": "Device offline",
+};
+const DELIVERY_BADGE = { delivered: "success", failed: "fault" };
+
+function newWebhookDraft() {
+  return {
+    name: "",
+    url: "",
+    events: ["relay.changed", "fault.event"],
+    enabled: true,
+  };
+}
+
+function WebhookEditorModal({
   open,
   onClose,
-  events,
-  onDeleteEvent,
-  onDeleteAll,
+  draft,
+  setDraft,
+  onSave,
+  onRotateSecret,
+  busy,
 }) {
-  if (!open) return null;
+  if (!open || !draft) return null;
+
+  const set = (key, value) => setDraft((d) => ({ ...d, [key]: value }));
+  const toggleEvent = (name, on) =>
+    set(
+      "events",
+      on ? [...draft.events, name] : draft.events.filter((e) => e !== name),
+    );
 
   return (
-    <div
-      className="notifBackdrop"
-      role="presentation"
-      onMouseDown={onClose} // click outside closes
-    >
-      <div
-        className="notifPanel"
-        role="dialog"
-        aria-label="Fault notifications"
-        onMouseDown={(e) => e.stopPropagation()}
-      >
-        <div className="notifHeader">
+    <div className="modalBackdrop" onMouseDown={onClose}>
+      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modalHeader">
           <div>
-            <div className="notifTitleRow">
-              <div className="notifTitle">Fault Notifications</div>
+            <div className="modalTitle">
+              {draft._id ? "Edit Webhook" : "New Webhook"}
+            </div>
+            <div className="small">
+              Events are POSTed as JSON. Failed deliveries are retried with
+              growing delays.
+            </div>
+          </div>
+          <button className="btn ghost" onClick={onClose} type="button">
+            Close
+          </button>
+        </div>
 
-              <button
-                className="iconBtn danger"
-                type="button"
-                title="Delete all notifications"
-                onClick={() => onDeleteAll?.()}
-                disabled={!events?.length}
-              >
-                🗑️
-              </button>
+        <div className="faultGrid">
+          <div className="faultGroup">
+            <div className="faultGroupTitle">Endpoint</div>
+            <div className="faultRow">
+              <div className="faultField">
+                <div className="small">Name</div>
+                <input
+                  className="input"
+                  value={draft.name}
+                  placeholder="e.g. Home Assistant"
+                  onChange={(e) => set("name", e.target.value)}
+                />
+              </div>
+              <div className="faultField">
+                <div className="small">URL</div>
+                <input
+                  className="input"
+                  value={draft.url}
+                  placeholder="https://example.com/gridsense"
+                  onChange={(e) => set("url", e.target.value)}
+                />
+              </div>
             </div>
+            <label className="check" style={{ marginTop: 8 }}>
+              <input
+                type="checkbox"
+                checked={draft.enabled}
+                onChange={(e) => set("enabled", e.target.checked)}
+              />
+              Enabled
+            </label>
+          </div>
 
-            <div className="small">Recent fault actions and faults</div>
+          <div className="faultGroup">
+            <div className="faultGroupTitle">Events</div>
+            {Object.entries(WEBHOOK_EVENT_LABELS).map(([name, label]) => (
+              <label key={name} className="check">
+                <input
+                  type="checkbox"
+                  checked={draft.events.includes(name)}
+                  onChange={(e) => toggleEvent(name, e.target.checked)}
+                />
+                {label} <span className="small">({name})</span>
+              </label>
+            ))}
           </div>
+
+          {draft._id ? (
+            <div className="faultGroup">
+              <div className="faultGroupTitle">Signing secret</div>
+              <div className="row">
+                <input className="input" value={draft.secret} readOnly />
+                <button
+                  className="btn ghost"
+                  type="button"
+                  onClick={onRotateSecret}
+                  disabled={busy}
+                >
+                  Rotate
+                </button>
+              </div>
+              <div className="small" style={{ marginTop: 8 }}>
+                X-GridSense-Signature is "sha256=" + the hex HMAC-SHA256 of
+                "&lt;X-GridSense-Timestamp&gt;.&lt;raw body&gt;" with this
+                secret.
+              </div>
+            </div>
+          ) : null}
         </div>
 
-        <div className="notifList">
-          {events?.length ? (
-            events.map((ev) => (
-              <div key={ev._id} className="notifItem">
-                <div className={`notifBadge ${ev.level}`}>
-                  {ev.level === "fault"
-                    ? "FAULT"
-                    : ev.level === "success"
-                      ? "SUCCESS"
-                      : "INFO"}
-                </div>
+        <div className="modalActions">
+          <button
+            className="btn"
+            type="button"
+            onClick={onSave}
+            disabled={busy || !draft.url.trim() || !draft.events.length}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
 
-                <div className="notifBody">
-                  <div className="notifMsg">{ev.message || "—"}</div>
-                  <div className="notifMeta">
-                    <span>
-                      {new Date(ev.createdAt).toLocaleString([], {
-                        hour12: false,
-                      })}
-                    </span>
-                    {ev.fault ? (
-                      <span className="notifFault"> • {ev.fault}</span>
-                    ) : null}
-                  </div>
+function WebhooksPanel({
+  webhooks,
+  log,
+  onToggleLog,
+  onReloadLog,
+  onEdit,
+  onTest,
+  onToggleEnabled,
+  onDelete,
+  onReplay,
+  busy,
+}) {
+  if (!webhooks.length) {
+    return (
+      <div className="small">
+        No webhooks yet. A webhook POSTs the selected events to your own system,
+        signed with a per-webhook secret.
+      </div>
+    );
+  }
+
+  return (
+    <div className="timelineList">
+      {webhooks.map((wh) => (
+        <div key={wh._id}>
+          <div className="notifItem">
+            <div className={`notifBadge ${wh.enabled ? "success" : "info"}`}>
+              {wh.enabled ? "On" : "Off"}
+            </div>
+            <div className="notifBody">
+              <div className="notifTitleRow">
+                <div className="notifMsg">
+                  <b>{wh.name || wh.url}</b>
+                  {wh.name ? ` — ${wh.url}` : ""}
+                </div>
+                <div className="actions">
+                  <button
+                    className="btn ghost"
+                    type="button"
+                    disabled={busy}
+                    onClick={() => onTest(wh)}
+                  >
+                    Test
+                  </button>
+                  <button
+                    className="btn ghost"
+                    type="button"
+                    onClick={() => onToggleLog(wh)}
+                  >
+                    {log?.webhookId === wh._id ? "Hide log" : "Log"}
+                  </button>
+                  <button
+                    className="btn ghost"
+                    type="button"
+                    disabled={busy}
+                    onClick={() => onToggleEnabled(wh)}
+                  >
+                    {wh.enabled ? "Disable" : "Enable"}
+                  </button>
+                  <button
+                    className="btn ghost"
+                    type="button"
+                    onClick={() => onEdit(wh)}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    className="btn ghost"
+                    type="button"
+                    title="Delete"
+                    disabled={busy}
+                    onClick={() => onDelete(wh)}
+                  >
+                    <TrashIcon size={16} />
+                  </button>
                 </div>
+              </div>
+              <div className="notifMeta">{wh.events.join(", ")}</div>
+            </div>
+          </div>
 
+          {log?.webhookId === wh._id ? (
+            <div className="chartCard" style={{ margin: "0 0 12px" }}>
+              <div className="notifTitleRow">
+                <div className="chartTitle">Deliveries</div>
                 <button
-                  className="iconBtn danger"
+                  className="btn ghost"
                   type="button"
-                  title="Delete notification"
-                  onClick={() => onDeleteEvent?.(ev._id)}
+                  onClick={onReloadLog}
                 >
-                  🗑️
+                  Refresh
                 </button>
               </div>
-            ))
-          ) : (
-            <div className="small" style={{ padding: 10 }}>
-              No fault logs yet.
+              {log.deliveries.length === 0 ? (
+                <div className="small">Nothing sent yet.</div>
+              ) : (
+                log.deliveries.map((d) => (
+                  <div key={d._id} className="notifItem">
+                    <div
+                      className={`notifBadge ${DELIVERY_BADGE[d.status] || "info"}`}
+                    >
+                      {d.status.toUpperCase()}
+                    </div>
+                    <div className="notifBody">
+                      <div className="notifMsg">
+                        {d.event}
+                        {d.replayOf ? " (replay)" : ""}
+                      </div>
+                      <div className="notifMeta">
+                        {new Date(d.createdAt).toLocaleString([], {
+                          hour12: false,
+                        })}
+                        {` • ${d.attempts} attempt${d.attempts === 1 ? "" : "s"}`}
+                        {d.responseStatus ? ` • HTTP ${d.responseStatus}` : ""}
+                        {d.lastError && d.status !== "delivered"
+                          ? ` • ${d.lastError}`
+                          : ""}
+                        {d.status === "pending" && d.attempts
+                          ? ` • retry at ${new Date(d.nextAt).toLocaleTimeString([], { hour12: false })}`
+                          : ""}
+                      </div>
+                    </div>
+                    <button
+                      className="btn ghost"
+                      type="button"
+                      disabled={busy}
+                      onClick={() => onReplay(d)}
+                    >
+                      Replay
+                    </button>
+                  </div>
+                ))
+              )}
             </div>
-          )}
+          ) : null}
         </div>
-      </div>
+      ))}
     </div>
   );
 }
 
-export default function App() {
+function DeviceDashboard({
+  deviceId,
+  devices,
+  onSelectDevice,
+  onRegistryChange,
+}) {
   const [latest, setLatest] = useState(null);
   const [device, setDevice] = useState(null);
   const [history, setHistory] = useState([]);
 
   const [loadingRelay, setLoadingRelay] = useState(false);
   const [error, setError] = useState("");
-  const [scheduleSavedAt, setScheduleSavedAt] = useState({ 1: null, 3: null });
 
   // --- Fault detection ---
   const [faultBusy, setFaultBusy] = useState(false);
@@ -889,19 +4881,46 @@ export default function App() {
   }, [editingFault]);
 
   const [notifOpen, setNotifOpen] = useState(false);
+  const [connectivity, setConnectivity] = useState(null);
+
+  // Socket.IO push; while connected, polling is skipped (fallback only)
+  const [live, setLive] = useState(false);
+  const liveRef = useRef(false);
+
+  // --- Device registry ---
+  const [deviceOpen, setDeviceOpen] = useState(false);
+  const [deviceBusy, setDeviceBusy] = useState(false);
+  const [deviceDraft, setDeviceDraft] = useState(null);
+
+  // --- Notification channels (email / push / digest) ---
+  const [notifyOpen, setNotifyOpen] = useState(false);
+  const [notifyBusy, setNotifyBusy] = useState(false);
+  const [notifyConfig, setNotifyConfig] = useState(null);
+  const [notifyPrefs, setNotifyPrefs] = useState([]);
+  const [notifyDraft, setNotifyDraft] = useState(null);
+  const [notifyLog, setNotifyLog] = useState([]);
 
   const [faultEvents, setFaultEvents] = useState([]);
+  const [faultUnread, setFaultUnread] = useState(0);
+  const [inboxFilter, setInboxFilter] = useState(INBOX_FILTER);
+  const inboxFilterRef = useRef(INBOX_FILTER);
+  useEffect(() => {
+    inboxFilterRef.current = inboxFilter;
+  }, [inboxFilter]);
+  const [inboxCursor, setInboxCursor] = useState(null);
+  const [inboxLoading, setInboxLoading] = useState(false);
+  const [operator, setOperator] = useState(
+    () => localStorage.getItem(OPERATOR_NAME_KEY) || "",
+  );
+  useEffect(() => {
+    localStorage.setItem(OPERATOR_NAME_KEY, operator);
+  }, [operator]);
   const [faultLatched, setFaultLatched] = useState(false);
+  const [faultChannelLatches, setFaultChannelLatches] = useState([]);
+  const [forensics, setForensics] = useState(null); // { event, data } | null
 
   const [faultServer, setFaultServer] = useState(null); // backend truth
-  const [faultDraft, setFaultDraft] = useState({
-    vMin: "",
-    vMax: "",
-    iMin: "",
-    iMax: "",
-    pMin: "",
-    pMax: "",
-  });
+  const [faultDraft, setFaultDraft] = useState(() => faultDraftFrom(null));
 
   useEffect(() => {
     editingFaultRef.current = editingFault;
@@ -910,6 +4929,37 @@ export default function App() {
   // timeframe and chart mode
   const [timeframeMin, setTimeframeMin] = useState(30);
   const timeframeMinRef = useRef(timeframeMin);
+  const [exportOpen, setExportOpen] = useState(false);
+
+  // energy consumption per calendar period (browser time zone)
+  const [energyPeriod, setEnergyPeriod] = useState("day");
+  const energyPeriodRef = useRef(energyPeriod);
+  useEffect(() => {
+    energyPeriodRef.current = energyPeriod;
+  }, [energyPeriod]);
+  const [energy, setEnergy] = useState(null);
+  const [projection, setProjection] = useState(null);
+  const [tariffs, setTariffs] = useState([]);
+
+  const [prepaid, setPrepaid] = useState([]);
+  const [prepaidLedger, setPrepaidLedger] = useState([]);
+  const [prepaidBusy, setPrepaidBusy] = useState(false);
+
+  const [rules, setRules] = useState([]);
+  const [ruleLogs, setRuleLogs] = useState([]);
+  const [ruleBusy, setRuleBusy] = useState(false);
+  const [ruleDraft, setRuleDraft] = useState(null); // null => editor closed
+
+  const [scenes, setScenes] = useState([]);
+  const [sceneRuns, setSceneRuns] = useState([]);
+  const [sceneBusy, setSceneBusy] = useState(false);
+  const [sceneDraft, setSceneDraft] = useState(null); // null => editor closed
+
+  // --- Webhooks ---
+  const [webhooks, setWebhooks] = useState([]);
+  const [webhookBusy, setWebhookBusy] = useState(false);
+  const [webhookDraft, setWebhookDraft] = useState(null); // null => editor closed
+  const [webhookLog, setWebhookLog] = useState(null); // { webhookId, deliveries }
   useEffect(() => {
     timeframeMinRef.current = timeframeMin;
   }, [timeframeMin]);
@@ -924,19 +4974,10 @@ export default function App() {
 
   // automations state from backend
   const [timers, setTimers] = useState({ 1: null, 3: null }); // {endAt,...} or null
-  const [schedulesServer, setSchedulesServer] = useState({
-    1: { enabled: false, on: "18:00", off: "23:00", invert: false },
-    3: { enabled: false, on: "18:00", off: "23:00", invert: false },
-  });
-
-  const [schedulesDraft, setSchedulesDraft] = useState({
-    1: { enabled: false, on: "18:00", off: "23:00", invert: false },
-    3: { enabled: false, on: "18:00", off: "23:00", invert: false },
-  });
-
-  // editing lock per channel (so only that card stops overwriting)
-  const [editingScheduleCh, setEditingScheduleCh] = useState(null);
-  const editingScheduleChRef = useRef(null);
+  const [schedules, setSchedules] = useState({ 1: [], 3: [] });
+  const [vacation, setVacation] = useState(null);
+  const [loadShed, setLoadShed] = useState(null);
+  const [voltageGuards, setVoltageGuards] = useState({});
 
   // timer minutes input (UI-only)
   const [timerByCh, setTimerByCh] = useState({
@@ -978,26 +5019,31 @@ export default function App() {
   }, [device]);
 
   const online = useMemo(() => {
+    // Prefer the backend's status/Last-Will presence once the device has
+    // reported one; fall back to telemetry freshness for older firmware.
+    if (device?.lastStatusAt && typeof device.online === "boolean") {
+      return device.online;
+    }
     if (!device?.lastSeen) return false;
     const secAgo = Math.max(0, Math.floor(Date.now() / 1000 - device.lastSeen));
     return secAgo <= 6;
   }, [device]);
 
-  async function fetchLatest() {
+  const fetchLatest = useCallback(async () => {
     try {
       setError("");
       const [latestRes, devRes] = await Promise.all([
-        axios.get(`${API_BASE}/api/latest/${DEVICE_ID}`),
-        axios.get(`${API_BASE}/api/device/${DEVICE_ID}`),
+        axios.get(`${API_BASE}/api/latest/${deviceId}`),
+        axios.get(`${API_BASE}/api/device/${deviceId}`),
       ]);
       setLatest(latestRes.data);
       setDevice(devRes.data);
     } catch {
       setError("Backend not reachable. Check API base URL.");
     }
-  }
+  }, [deviceId]);
 
-  async function fetchHistory() {
+  const fetchHistory = useCallback(async () => {
     try {
       const tf = timeframeMinRef.current;
 
@@ -1005,9 +5051,9 @@ export default function App() {
       const from = to - tf * 60 * 1000;
 
       const maxPoints = tf <= 60 ? 2500 : 1500;
-      const bucketSec = tf >= 1440 ? 60 : tf >= 360 ? 16 : 2;
+      const bucketSec = historyBucketSec(tf);
 
-      const res = await axios.get(`${API_BASE}/api/history/${DEVICE_ID}`, {
+      const res = await axios.get(`${API_BASE}/api/history/${deviceId}`, {
         params: { from, to, maxPoints, bucketSec },
       });
 
@@ -1015,74 +5061,457 @@ export default function App() {
     } catch {
       // prevents unhandled promise from setInterval
     }
-  }
+  }, [deviceId]);
 
   useEffect(() => {
     fetchHistory();
-  }, [timeframeMin]);
+  }, [timeframeMin, fetchHistory]);
 
-  async function fetchAutomations() {
+  const fetchEnergy = useCallback(async () => {
     try {
-      const res = await axios.get(`${API_BASE}/api/automations/${DEVICE_ID}`);
-      const d = res.data || {};
-      if (d.timers) setTimers(d.timers);
-      if (d.schedules) {
-        setSchedulesServer(d.schedules);
-
-        const editingCh = editingScheduleChRef.current;
-
-        // Only overwrite drafts if user is NOT editing.
-        if (!editingCh) {
-          setSchedulesDraft(d.schedules);
-        } else {
-          setSchedulesDraft((prev) => {
-            const next = { ...prev };
-
-            for (const ch of [1, 3]) {
-              if (ch !== editingCh) {
-                next[ch] = d.schedules[ch] || next[ch];
-              }
-            }
+      const res = await axios.get(`${API_BASE}/api/energy/${deviceId}`, {
+        params: { period: energyPeriodRef.current, tz: browserTimeZone() },
+      });
+      setEnergy(res.data?.ok ? res.data : null);
+    } catch {
+      // keep the last chart on transient errors
+    }
+  }, [deviceId]);
 
-            return next;
-          });
-        }
-      }
-      if (d.cutoffs) {
-        setCutoffsServer(d.cutoffs);
-
-        const editingCh = editingCutoffChRef.current;
-
-        if (!editingCh) {
-          setCutoffsDraft(d.cutoffs);
-        } else {
-          setCutoffsDraft((prev) => {
-            const next = { ...prev };
-            for (const ch of [1, 3]) {
-              if (ch !== editingCh) next[ch] = d.cutoffs[ch] || next[ch];
-            }
-            return next;
-          });
-        }
+  const fetchPrepaid = useCallback(async () => {
+    try {
+      const [acc, led] = await Promise.all([
+        axios.get(`${API_BASE}/api/prepaid/${deviceId}`),
+        axios.get(`${API_BASE}/api/prepaid/${deviceId}/ledger`, {
+          params: { limit: 30 },
+        }),
+      ]);
+      setPrepaid(acc.data?.accounts || []);
+      setPrepaidLedger(led.data?.transactions || []);
+    } catch {
+      // optional feature
+    }
+  }, [deviceId]);
+
+  async function prepaidAction(fn, failMsg) {
+    try {
+      setPrepaidBusy(true);
+      setError("");
+      await fn();
+      await fetchPrepaid();
+    } catch (e) {
+      setError(e?.response?.data?.error || failMsg);
+    } finally {
+      setPrepaidBusy(false);
+    }
+  }
+
+  const savePrepaid = (ch, patch) =>
+    prepaidAction(
+      () => axios.post(`${API_BASE}/api/prepaid/${deviceId}`, { ch, ...patch }),
+      "Prepaid settings save failed.",
+    );
+
+  const topupPrepaid = (ch, amount, reference) =>
+    prepaidAction(
+      () =>
+        axios.post(`${API_BASE}/api/prepaid/${deviceId}/topup`, {
+          ch,
+          amount,
+          reference,
+        }),
+      "Top-up failed.",
+    );
+
+  const deletePrepaid = (ch) => {
+    if (!confirm("Remove this prepaid account? The ledger is kept.")) {
+      return Promise.resolve();
+    }
+    return prepaidAction(
+      () =>
+        axios.delete(
+          `${API_BASE}/api/prepaid/${deviceId}/${ch == null ? "device" : ch}`,
+        ),
+      "Prepaid account delete failed.",
+    );
+  };
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const [r, l] = await Promise.all([
+        axios.get(`${API_BASE}/api/rules/${deviceId}`),
+        axios.get(`${API_BASE}/api/rules/${deviceId}/logs`, {
+          params: { limit: 20 },
+        }),
+      ]);
+      setRules(r.data?.rules || []);
+      setRuleLogs(l.data?.logs || []);
+    } catch {
+      // optional feature
+    }
+  }, [deviceId]);
+
+  async function ruleAction(fn, failMsg) {
+    try {
+      setRuleBusy(true);
+      setError("");
+      await fn();
+      await fetchRules();
+      return true;
+    } catch (e) {
+      setError(e?.response?.data?.error || failMsg);
+      return false;
+    } finally {
+      setRuleBusy(false);
+    }
+  }
+
+  async function saveRule() {
+    const {
+      _id,
+      name,
+      enabled,
+      cooldownSec,
+      tz,
+      trigger,
+      conditions,
+      actions,
+    } = ruleDraft;
+    const body = {
+      name,
+      enabled,
+      cooldownSec,
+      tz,
+      trigger,
+      conditions,
+      actions,
+    };
+    const ok = await ruleAction(
+      () =>
+        _id
+          ? axios.patch(`${API_BASE}/api/rules/${deviceId}/${_id}`, body)
+          : axios.post(`${API_BASE}/api/rules/${deviceId}`, body),
+      "Rule save failed.",
+    );
+    if (ok) setRuleDraft(null);
+  }
+
+  const toggleRule = (r) =>
+    ruleAction(
+      () =>
+        axios.patch(`${API_BASE}/api/rules/${deviceId}/${r._id}`, {
+          enabled: !r.enabled,
+        }),
+      "Rule update failed.",
+    );
+
+  const runRule = (r) =>
+    ruleAction(
+      () => axios.post(`${API_BASE}/api/rules/${deviceId}/${r._id}/run`),
+      "Rule run failed.",
+    );
+
+  const deleteRule = (r) => {
+    if (!confirm(`Delete rule "${r.name || "Untitled rule"}"?`)) return;
+    ruleAction(
+      () => axios.delete(`${API_BASE}/api/rules/${deviceId}/${r._id}`),
+      "Rule delete failed.",
+    );
+  };
+
+  const fetchScenes = useCallback(async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/api/scenes/${deviceId}`);
+      setScenes(res.data?.scenes || []);
+      setSceneRuns(res.data?.runs || []);
+    } catch {
+      // optional feature
+    }
+  }, [deviceId]);
+
+  async function sceneAction(fn, failMsg) {
+    try {
+      setSceneBusy(true);
+      setError("");
+      await fn();
+      await fetchScenes();
+      return true;
+    } catch (e) {
+      setError(e?.response?.data?.error || failMsg);
+      return false;
+    } finally {
+      setSceneBusy(false);
+    }
+  }
+
+  async function saveScene() {
+    const { _id, name } = sceneDraft;
+    const body = {
+      name,
+      steps: sceneDraft.steps.map((st) => ({
+        ...st,
+        delaySec: Number(st.delaySec) || 0,
+      })),
+    };
+    const ok = await sceneAction(
+      () =>
+        _id
+          ? axios.patch(`${API_BASE}/api/scenes/${deviceId}/${_id}`, body)
+          : axios.post(`${API_BASE}/api/scenes/${deviceId}`, body),
+      "Scene save failed.",
+    );
+    if (ok) setSceneDraft(null);
+  }
+
+  const runScene = (sc) =>
+    sceneAction(
+      () =>
+        axios.post(`${API_BASE}/api/scenes/${deviceId}/${sc._id}/run`, {
+          source: "dashboard",
+        }),
+      "Scene run failed.",
+    );
+
+  const cancelSceneRun = (r) =>
+    sceneAction(
+      () =>
+        axios.post(`${API_BASE}/api/scenes/${deviceId}/runs/${r._id}/cancel`),
+      "Scene cancel failed.",
+    );
+
+  const deleteScene = (sc) => {
+    if (!confirm(`Delete scene "${sc.name}"?`)) return;
+    sceneAction(
+      () => axios.delete(`${API_BASE}/api/scenes/${deviceId}/${sc._id}`),
+      "Scene delete failed.",
+    );
+  };
+
+  const fetchWebhooks = useCallback(async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/api/webhooks/${deviceId}`);
+      setWebhooks(res.data?.webhooks || []);
+    } catch {
+      // optional feature
+    }
+  }, [deviceId]);
+
+  async function fetchWebhookLog(webhookId) {
+    try {
+      const res = await axios.get(
+        `${API_BASE}/api/webhooks/${deviceId}/${webhookId}/deliveries`,
+      );
+      setWebhookLog({ webhookId, deliveries: res.data?.deliveries || [] });
+    } catch (e) {
+      setError(e?.response?.data?.error || "Failed to load deliveries.");
+    }
+  }
+
+  function toggleWebhookLog(wh) {
+    if (webhookLog?.webhookId === wh._id) setWebhookLog(null);
+    else fetchWebhookLog(wh._id);
+  }
+
+  async function webhookAction(fn, failMsg) {
+    try {
+      setWebhookBusy(true);
+      setError("");
+      const res = await fn();
+      await fetchWebhooks();
+      return res || true;
+    } catch (e) {
+      setError(e?.response?.data?.error || failMsg);
+      return false;
+    } finally {
+      setWebhookBusy(false);
+    }
+  }
+
+  async function saveWebhook() {
+    const { _id, name, url, events, enabled } = webhookDraft;
+    const body = { name, url: url.trim(), events, enabled };
+    const ok = await webhookAction(
+      () =>
+        _id
+          ? axios.patch(`${API_BASE}/api/webhooks/${deviceId}/${_id}`, body)
+          : axios.post(`${API_BASE}/api/webhooks/${deviceId}`, body),
+      "Webhook save failed.",
+    );
+    // keep a new webhook open so its generated secret can be copied
+    if (ok?.data?.webhook && !_id) setWebhookDraft(ok.data.webhook);
+    else if (ok) setWebhookDraft(null);
+  }
+
+  async function rotateWebhookSecret() {
+    const res = await webhookAction(
+      () =>
+        axios.patch(
+          `${API_BASE}/api/webhooks/${deviceId}/${webhookDraft._id}`,
+          {
+            rotateSecret: true,
+          },
+        ),
+      "Secret rotation failed.",
+    );
+    if (res?.data?.webhook) {
+      setWebhookDraft((d) => ({ ...d, secret: res.data.webhook.secret }));
+    }
+  }
+
+  const toggleWebhookEnabled = (wh) =>
+    webhookAction(
+      () =>
+        axios.patch(`${API_BASE}/api/webhooks/${deviceId}/${wh._id}`, {
+          enabled: !wh.enabled,
+        }),
+      "Webhook update failed.",
+    );
+
+  async function testWebhook(wh) {
+    const res = await webhookAction(
+      () => axios.post(`${API_BASE}/api/webhooks/${deviceId}/${wh._id}/test`),
+      "Webhook test failed.",
+    );
+    const d = res?.data?.delivery;
+    if (d && d.status !== "delivered") {
+      setError(`Webhook test: ${d.lastError || "not delivered yet"}`);
+    }
+    if (d) fetchWebhookLog(wh._id);
+  }
+
+  async function replayDelivery(d) {
+    const ok = await webhookAction(
+      () =>
+        axios.post(
+          `${API_BASE}/api/webhooks/${deviceId}/deliveries/${d._id}/replay`,
+        ),
+      "Replay failed.",
+    );
+    if (ok) fetchWebhookLog(d.webhookId);
+  }
+
+  const deleteWebhook = (wh) => {
+    if (!confirm(`Delete webhook "${wh.name || wh.url}"?`)) return;
+    webhookAction(
+      () => axios.delete(`${API_BASE}/api/webhooks/${deviceId}/${wh._id}`),
+      "Webhook delete failed.",
+    );
+    if (webhookLog?.webhookId === wh._id) setWebhookLog(null);
+  };
+
+  // current billing cycle so far + projected end-of-cycle totals
+  const fetchProjection = useCallback(async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/api/projection/${deviceId}`, {
+        params: { tz: browserTimeZone() },
+      });
+      setProjection(res.data?.ok ? res.data : null);
+    } catch {
+      // optional stats
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    fetchEnergy();
+  }, [energyPeriod, fetchEnergy]);
+
+  // Shared by polling and the "automations" socket push
+  const applyAutomations = useCallback((d) => {
+    if (d.timers) setTimers(d.timers);
+    if (d.schedules) setSchedules(d.schedules);
+    if (d.vacation !== undefined) setVacation(d.vacation);
+    if (d.loadShed !== undefined) setLoadShed(d.loadShed);
+    if (d.voltageGuards) setVoltageGuards(d.voltageGuards);
+    if (d.cutoffs) {
+      setCutoffsServer(d.cutoffs);
+
+      const editingCh = editingCutoffChRef.current;
+
+      if (!editingCh) {
+        setCutoffsDraft(d.cutoffs);
+      } else {
+        setCutoffsDraft((prev) => {
+          const next = { ...prev };
+          for (const ch of [1, 3]) {
+            if (ch !== editingCh) next[ch] = d.cutoffs[ch] || next[ch];
+          }
+          return next;
+        });
       }
+    }
+  }, []);
+
+  const fetchAutomations = useCallback(async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/api/automations/${deviceId}`);
+      applyAutomations(res.data || {});
     } catch {
       // if endpoint missing or down, show a single clean message
       // (doesn't block telemetry)
     }
-  }
+  }, [deviceId, applyAutomations]);
+
+  // Live telemetry => extend the chart without refetching the window. Only
+  // the 2s range matches the socket rate; coarser (bucketed) ranges pick new
+  // points up on the periodic resync instead.
+  const appendHistoryPoint = useCallback((doc) => {
+    const tf = timeframeMinRef.current;
+    const bucketMs = historyBucketSec(tf) * 1000;
+    if (bucketMs > 2000) return;
+    const ms = new Date(doc.createdAt).getTime();
+    if (!Number.isFinite(ms)) return;
+    const t = Math.floor(ms / bucketMs) * bucketMs;
+    const from = Date.now() - tf * 60 * 1000;
+    setHistory((prev) => [
+      ...prev.filter((r) => r.t >= from && r.t !== t),
+      {
+        t,
+        v1: doc.v1,
+        i1: doc.i1,
+        p1: doc.p1,
+        e1Wh: doc.e1Wh,
+        v3: doc.v3,
+        i3: doc.i3,
+        p3: doc.p3,
+        e3Wh: doc.e3Wh,
+        voltage: doc.voltage,
+        current: doc.current,
+        power: doc.power,
+        energyWh: doc.energyWh,
+      },
+    ]);
+  }, []);
+
+  const fetchConnectivity = useCallback(async () => {
+    try {
+      const res = await axios.get(
+        `${API_BASE}/api/device/${deviceId}/connectivity`,
+      );
+      setConnectivity(res.data?.ok ? res.data : null);
+    } catch {
+      // device not registered yet / backend down
+    }
+  }, [deviceId]);
 
   async function toggleRelay(ch, state) {
     try {
       setLoadingRelay(true);
       setError("");
-      await axios.post(`${API_BASE}/api/relay/${DEVICE_ID}`, { ch, state });
-      setTimeout(() => {
-        fetchLatest();
-        fetchAutomations();
-      }, 350);
-    } catch {
+      // wait => backend answers once the device acked (or gave up)
+      await axios.post(`${API_BASE}/api/relay/${deviceId}`, {
+        ch,
+        state,
+        wait: true,
+      });
+      fetchLatest();
+      fetchAutomations();
+    } catch (e) {
       setError(
-        "Relay command failed. Check backend logs and MQTT connectivity.",
+        e?.response?.status === 504
+          ? "Device did not confirm the relay command (no ack after retries)."
+          : e?.response?.status === 409
+            ? e.response.data?.error
+            : "Relay command failed. Check backend logs and MQTT connectivity.",
       );
     } finally {
       setLoadingRelay(false);
@@ -1093,7 +5522,7 @@ export default function App() {
     try {
       setLoadingRelay(true);
       setError("");
-      await axios.post(`${API_BASE}/api/relayAll/${DEVICE_ID}`, { state: 0 });
+      await axios.post(`${API_BASE}/api/relayAll/${deviceId}`, { state: 0 });
       setTimeout(fetchLatest, 350);
     } catch {
       setError("Master OFF failed. Check backend and MQTT connectivity.");
@@ -1110,7 +5539,7 @@ export default function App() {
       const cfg = timerByCh[ch] || {};
       const t = mode === "on_for" ? cfg.onFor : cfg.offFor;
 
-      await axios.post(`${API_BASE}/api/timer/${DEVICE_ID}`, {
+      await axios.post(`${API_BASE}/api/timer/${deviceId}`, {
         ch,
         mode,
         minutes: Number(t?.min || 0),
@@ -1130,7 +5559,7 @@ export default function App() {
     try {
       setLoadingRelay(true);
       setError("");
-      await axios.delete(`${API_BASE}/api/timer/${DEVICE_ID}/${ch}`);
+      await axios.delete(`${API_BASE}/api/timer/${deviceId}/${ch}`);
       await fetchAutomations();
       setTimeout(fetchLatest, 350);
     } catch {
@@ -1140,70 +5569,135 @@ export default function App() {
     }
   }
 
-  async function applySchedule(ch) {
+  // entry with _id => patch, otherwise create; resolves true on success
+  async function saveSchedule(ch, entry) {
     try {
       setLoadingRelay(true);
       setError("");
 
-      const s = schedulesDraft[ch];
+      const { _id, ...body } = entry;
+      if (_id) {
+        await axios.patch(`${API_BASE}/api/schedules/${deviceId}/${_id}`, body);
+      } else {
+        await axios.post(`${API_BASE}/api/schedules/${deviceId}`, {
+          ...body,
+          ch,
+        });
+      }
 
-      await axios.post(`${API_BASE}/api/schedule/${DEVICE_ID}`, {
-        ch,
-        enabled: !!s.enabled,
-        on: s.on,
-        off: s.off,
-        invert: !!s.invert,
-      });
+      await fetchAutomations();
+      return true;
+    } catch (e) {
+      setError(
+        e?.response?.data?.error || "Schedule save failed. Check backend logs.",
+      );
+      return false;
+    } finally {
+      setLoadingRelay(false);
+    }
+  }
+
+  async function saveVacation(body) {
+    try {
+      setLoadingRelay(true);
+      setError("");
+      await axios.post(`${API_BASE}/api/vacation/${deviceId}`, body);
+      await fetchAutomations();
+      return true;
+    } catch (e) {
+      setError(e?.response?.data?.error || "Vacation mode save failed.");
+      return false;
+    } finally {
+      setLoadingRelay(false);
+    }
+  }
 
-      setScheduleSavedAt((prev) => ({ ...prev, [ch]: Date.now() }));
+  async function saveLoadShed(body) {
+    try {
+      setLoadingRelay(true);
+      setError("");
+      await axios.post(`${API_BASE}/api/loadshed/${deviceId}`, body);
+      await fetchAutomations();
+      return true;
+    } catch (e) {
+      setError(e?.response?.data?.error || "Load shedding save failed.");
+      return false;
+    } finally {
+      setLoadingRelay(false);
+    }
+  }
 
-      setEditingScheduleCh(null);
+  async function deleteLoadShed() {
+    if (!confirm("Remove load shedding? Shed channels stay off.")) return;
+    try {
+      setLoadingRelay(true);
+      setError("");
+      await axios.delete(`${API_BASE}/api/loadshed/${deviceId}`);
       await fetchAutomations();
     } catch {
-      setError("Schedule save failed. Check backend logs.");
+      setError("Load shedding delete failed.");
     } finally {
       setLoadingRelay(false);
     }
   }
 
-  function normalizeSchedule(s) {
-    return {
-      enabled: !!s?.enabled,
-      invert: !!s?.invert,
-      on: s?.on || "00:00",
-      off: s?.off || "00:00",
-    };
+  async function saveVoltageGuard(ch, body) {
+    try {
+      setLoadingRelay(true);
+      setError("");
+      await axios.post(`${API_BASE}/api/voltage-guard/${deviceId}/${ch}`, body);
+      await fetchAutomations();
+      return true;
+    } catch (e) {
+      setError(e?.response?.data?.error || "Voltage guard save failed.");
+      return false;
+    } finally {
+      setLoadingRelay(false);
+    }
   }
 
-  function schedulesEqual(a, b) {
-    const A = normalizeSchedule(a);
-    const B = normalizeSchedule(b);
-    return (
-      A.enabled === B.enabled &&
-      A.invert === B.invert &&
-      A.on === B.on &&
-      A.off === B.off
-    );
+  async function deleteVoltageGuard(ch) {
+    if (!confirm(`Remove the voltage guard on ${channelLabel(device, ch)}?`)) {
+      return;
+    }
+    try {
+      setLoadingRelay(true);
+      setError("");
+      await axios.delete(`${API_BASE}/api/voltage-guard/${deviceId}/${ch}`);
+      await fetchAutomations();
+    } catch {
+      setError("Voltage guard delete failed.");
+    } finally {
+      setLoadingRelay(false);
+    }
   }
 
-  async function cancelSchedule(ch) {
+  async function deleteVacation() {
+    if (!confirm("Turn vacation mode off and resume the normal schedules?")) {
+      return;
+    }
     try {
       setLoadingRelay(true);
       setError("");
+      await axios.delete(`${API_BASE}/api/vacation/${deviceId}`);
+      await fetchAutomations();
+    } catch {
+      setError("Vacation mode delete failed.");
+    } finally {
+      setLoadingRelay(false);
+    }
+  }
 
-      await axios.delete(`${API_BASE}/api/schedule/${DEVICE_ID}/${ch}`);
+  async function deleteSchedule(ch, id) {
+    if (!confirm(`Delete this ${channelLabel(device, ch)} schedule?`)) return;
+    try {
+      setLoadingRelay(true);
+      setError("");
 
-      // Refresh automations from backend
-      setEditingScheduleCh(null);
+      await axios.delete(`${API_BASE}/api/schedules/${deviceId}/${id}`);
       await fetchAutomations();
-
-      // Optional: also reset local draft UI immediately
-      setSchedulesDraft((prev) => ({
-        ...prev,
-        [ch]: { enabled: false, on: "18:00", off: "23:00", invert: false },
-      }));
     } catch {
-      setError("Schedule cancel failed. Check backend logs.");
+      setError("Schedule delete failed. Check backend logs.");
     } finally {
       setLoadingRelay(false);
     }
@@ -1216,7 +5710,7 @@ export default function App() {
 
       const c = cutoffsDraft[ch];
 
-      await axios.post(`${API_BASE}/api/cutoff/${DEVICE_ID}`, {
+      await axios.post(`${API_BASE}/api/cutoff/${deviceId}`, {
         ch,
         enabled: !!c.enabled,
         limitmWh: Number(c.limitmWh ?? 1000),
@@ -1233,45 +5727,39 @@ export default function App() {
     }
   }
 
-  async function fetchFault() {
+  const fetchFault = useCallback(async () => {
     try {
-      const res = await axios.get(
-        `${API_BASE}/api/fault/${DEVICE_ID}?limit=200`,
-      );
+      // events come from the inbox (fetchInbox); only the count is needed here
+      const res = await axios.get(`${API_BASE}/api/fault/${deviceId}?limit=1`);
       const s = res.data?.settings || null;
 
       setFaultLatched(!!s?.latched);
-      setFaultEvents(Array.isArray(res.data?.events) ? res.data.events : []);
+      setFaultChannelLatches(s?.channels || []);
+      setFaultUnread(res.data?.unreadCount || 0);
 
       if (!faultOpenRef.current && !editingFaultRef.current) {
-        setFaultDraft({
-          vMin: s?.vMin ?? "",
-          vMax: s?.vMax ?? "",
-          iMin: s?.iMin ?? "",
-          iMax: s?.iMax ?? "",
-          pMin: s?.pMin ?? "",
-          pMax: s?.pMax ?? "",
-        });
+        setFaultDraft(faultDraftFrom(s));
       }
 
       return s;
     } catch {
       return null;
     }
-  }
+  }, [deviceId]);
 
   async function saveFaultSettings() {
     try {
       setLoadingRelay(true);
       setError("");
 
-      await axios.post(`${API_BASE}/api/fault/${DEVICE_ID}/settings`, {
-        vMin: faultDraft.vMin,
-        vMax: faultDraft.vMax,
-        iMin: faultDraft.iMin,
-        iMax: faultDraft.iMax,
-        pMin: faultDraft.pMin,
-        pMax: faultDraft.pMax,
+      await axios.post(`${API_BASE}/api/fault/${deviceId}/settings`, {
+        ...faultScopeBody(faultDraft),
+        inrushGraceSec: Number(faultDraft.inrushGraceSec) || 0,
+        forensicsMin: Number(faultDraft.forensicsMin) || 0,
+        channels: [1, 3].map((ch) => ({
+          ch,
+          ...faultScopeBody(faultDraft.channels[ch]),
+        })),
       });
 
       await fetchFault();
@@ -1284,11 +5772,25 @@ export default function App() {
     }
   }
 
-  async function resetFaultLatch() {
+  async function openForensics(event) {
+    setForensics({ event, data: null });
+    try {
+      const res = await axios.get(
+        `${API_BASE}/api/fault/${deviceId}/events/${event._id}/forensics`,
+      );
+      setForensics({ event, data: res.data?.forensics });
+    } catch (e) {
+      setForensics(null);
+      setError(e?.response?.data?.error || "Incident data failed to load.");
+    }
+  }
+
+  // ch: reset one channel's latch; omitted => every latch
+  async function resetFaultLatch(ch) {
     try {
       setLoadingRelay(true);
       setError("");
-      await axios.post(`${API_BASE}/api/fault/${DEVICE_ID}/reset`);
+      await axios.post(`${API_BASE}/api/fault/${deviceId}/reset`, { ch });
       await fetchFault();
     } catch {
       setError("Fault reset failed.");
@@ -1297,22 +5799,95 @@ export default function App() {
     }
   }
 
-  useEffect(() => {
-    editingScheduleChRef.current = editingScheduleCh;
-  }, [editingScheduleCh]);
+  async function clearFaultEvents() {
+    try {
+      setFaultBusy(true);
+      setError("");
+      await axios.delete(`${API_BASE}/api/fault/${deviceId}/events`);
+      await fetchInbox(); // refresh list
+    } catch (e) {
+      setError(
+        e?.response?.data?.error || "Failed to clear fault notifications.",
+      );
+    } finally {
+      setFaultBusy(false);
+    }
+  }
+
+  // Load the first page for the current filters, or the next page after cursor
+  const fetchInbox = useCallback(
+    async (cursor = null) => {
+      try {
+        setInboxLoading(true);
+        const res = await axios.get(
+          `${API_BASE}/api/fault/${deviceId}/events`,
+          {
+            params: {
+              ...inboxParams(inboxFilterRef.current),
+              ...(cursor && { cursor }),
+            },
+          },
+        );
+        const page = res.data?.events || [];
+        setFaultEvents((prev) => (cursor ? [...prev, ...page] : page));
+        setInboxCursor(res.data?.nextCursor || null);
+        setFaultUnread(res.data?.unreadCount || 0);
+      } catch (e) {
+        setError(e?.response?.data?.error || "Failed to load notifications.");
+      } finally {
+        setInboxLoading(false);
+      }
+    },
+    [deviceId],
+  );
+
+  function replaceFaultEvent(event) {
+    setFaultEvents((prev) =>
+      prev.map((x) => (x._id === event._id ? event : x)),
+    );
+  }
+
+  async function patchFaultEvent(ev, body, failMsg) {
+    try {
+      setError("");
+      const res = await axios.patch(
+        `${API_BASE}/api/fault/${deviceId}/events/${ev._id}`,
+        body,
+      );
+      if (res.data?.event) replaceFaultEvent(res.data.event);
+    } catch (e) {
+      setError(e?.response?.data?.error || failMsg);
+    }
+  }
+
+  function toggleFaultRead(ev) {
+    return patchFaultEvent(
+      ev,
+      { read: !ev.readAt },
+      "Failed to update notification.",
+    );
+  }
 
-  async function clearFaultEvents() {
+  function ackFaultEvent(ev) {
+    return patchFaultEvent(
+      ev,
+      { acknowledged: true, by: operator.trim() },
+      "Failed to acknowledge notification.",
+    );
+  }
+
+  async function markAllFaultRead() {
     try {
-      setFaultBusy(true);
       setError("");
-      await axios.delete(`${API_BASE}/api/fault/${DEVICE_ID}/events`);
-      await fetchFault(); // refresh list
+      await axios.post(
+        `${API_BASE}/api/fault/${deviceId}/events/read`,
+        inboxParams({ ...inboxFilter, unread: false }),
+      );
+      await fetchInbox();
     } catch (e) {
       setError(
-        e?.response?.data?.error || "Failed to clear fault notifications.",
+        e?.response?.data?.error || "Failed to mark notifications read.",
       );
-    } finally {
-      setFaultBusy(false);
     }
   }
 
@@ -1321,10 +5896,8 @@ export default function App() {
     try {
       setFaultBusy(true);
       setError("");
-      await axios.delete(
-        `${API_BASE}/api/fault/${DEVICE_ID}/events/${eventId}`,
-      );
-      await fetchFault(); // refresh list
+      await axios.delete(`${API_BASE}/api/fault/${deviceId}/events/${eventId}`);
+      await fetchInbox(); // refresh list
     } catch (e) {
       setError(e?.response?.data?.error || "Failed to delete notification.");
     } finally {
@@ -1337,7 +5910,7 @@ export default function App() {
 
   //   try {
   //     setError("");
-  //     await axios.delete(`${API_BASE}/api/fault/${DEVICE_ID}/events/${eventId}`);
+  //     await axios.delete(`${API_BASE}/api/fault/${deviceId}/events/${eventId}`);
   //     await fetchFault(); // refresh list
   //   } catch (e) {
   //     setError(e?.response?.data?.error || "Delete fault event failed.");
@@ -1346,19 +5919,190 @@ export default function App() {
 
   async function deleteAllFaultEvents() {
     try {
-      await axios.delete(`${API_BASE}/api/fault/${DEVICE_ID}/events`);
-      await fetchFault();
+      await axios.delete(`${API_BASE}/api/fault/${deviceId}/events`);
+      await fetchInbox();
     } catch (e) {
       setError(e?.response?.data?.error || "Delete all fault events failed.");
     }
   }
 
+  async function fetchNotifyLog(user) {
+    try {
+      const res = await axios.get(`${API_BASE}/api/notify/${deviceId}/log`, {
+        params: { user, limit: 20 },
+      });
+      setNotifyLog(res.data?.log || []);
+    } catch {
+      setNotifyLog([]);
+    }
+  }
+
+  function pickNotifyUser(user, prefs = notifyPrefs) {
+    setNotifyDraft(
+      notifyDraftFrom(
+        prefs.find((p) => p.user === user),
+        user,
+      ),
+    );
+    if (user) fetchNotifyLog(user);
+    else setNotifyLog([]);
+  }
+
+  async function openNotifySettings() {
+    setNotifyOpen(true);
+    setNotifyDraft(notifyDraftFrom(null, operator));
+    setNotifyLog([]);
+    try {
+      const [cfg, list] = await Promise.all([
+        axios.get(`${API_BASE}/api/notify/config`),
+        axios.get(`${API_BASE}/api/notify/${deviceId}`),
+      ]);
+      const prefs = list.data?.prefs || [];
+      setNotifyConfig(cfg.data || null);
+      setNotifyPrefs(prefs);
+      pickNotifyUser(operator || prefs[0]?.user || "", prefs);
+    } catch (e) {
+      setError(e?.response?.data?.error || "Failed to load notifications.");
+    }
+  }
+
+  // Apply a saved pref to the list and the open draft
+  function applyNotifyPref(pref) {
+    const prefs = [
+      ...notifyPrefs.filter((p) => p.user !== pref.user),
+      pref,
+    ].sort((a, b) => a.user.localeCompare(b.user));
+    setNotifyPrefs(prefs);
+    pickNotifyUser(pref.user, prefs);
+  }
+
+  async function notifyAction(fn, failMsg) {
+    try {
+      setNotifyBusy(true);
+      setError("");
+      await fn();
+    } catch (e) {
+      setError(e?.response?.data?.error || e?.message || failMsg);
+    } finally {
+      setNotifyBusy(false);
+    }
+  }
+
+  function saveNotifyPrefs() {
+    const user = notifyDraft.user.trim();
+    return notifyAction(async () => {
+      const res = await axios.post(`${API_BASE}/api/notify/${deviceId}`, {
+        ...notifyDraft,
+        user,
+        dedupMin: Number(notifyDraft.dedupMin),
+        maxPerHour: Number(notifyDraft.maxPerHour),
+      });
+      applyNotifyPref(res.data.pref);
+      if (!operator) setOperator(user);
+    }, "Notification settings save failed.");
+  }
+
+  function deleteNotifyPrefs() {
+    const user = notifyDraft.user.trim();
+    return notifyAction(async () => {
+      await axios.delete(
+        `${API_BASE}/api/notify/${deviceId}/${encodeURIComponent(user)}`,
+      );
+      const prefs = notifyPrefs.filter((p) => p.user !== user);
+      setNotifyPrefs(prefs);
+      pickNotifyUser(user, prefs);
+    }, "Failed to delete notification settings.");
+  }
+
+  function enableBrowserPush() {
+    const user = notifyDraft.user.trim();
+    return notifyAction(async () => {
+      const subscription = await subscribeBrowserPush(
+        notifyConfig.vapidPublicKey,
+      );
+      const res = await axios.post(
+        `${API_BASE}/api/notify/${deviceId}/${encodeURIComponent(user)}/push`,
+        { subscription },
+      );
+      applyNotifyPref(res.data.pref);
+    }, "Enabling browser push failed.");
+  }
+
+  function sendNotifyNow(kind) {
+    const user = notifyDraft.user.trim();
+    return notifyAction(async () => {
+      const res = await axios.post(
+        `${API_BASE}/api/notify/${deviceId}/${encodeURIComponent(user)}/${kind}`,
+      );
+      const failed = (res.data?.results || []).find((r) => r.status !== "sent");
+      if (failed) setError(`${failed.channel}: ${failed.error}`);
+      fetchNotifyLog(user);
+    }, "Sending failed.");
+  }
+
+  function openDeviceSettings() {
+    setDeviceDraft({
+      name: device?.name || "",
+      location: device?.location || "",
+      lat: device?.lat ?? "",
+      lon: device?.lon ?? "",
+      notes: device?.notes || "",
+      firmwareVersion: device?.firmwareVersion || "",
+      channels: [1, 3].map((ch) => ({
+        ch,
+        label: channelLabel(device, ch),
+        icon: channelIcon(device, ch),
+      })),
+      tariffId: device?.tariffId || "",
+      billingCycleDay: device?.billingCycleDay || 1,
+    });
+    setDeviceOpen(true);
+
+    axios
+      .get(`${API_BASE}/api/tariffs`)
+      .then((res) => setTariffs(res.data?.tariffs || []))
+      .catch(() => setTariffs([]));
+  }
+
+  async function saveDeviceSettings() {
+    try {
+      setDeviceBusy(true);
+      setError("");
+      await axios.patch(`${API_BASE}/api/devices/${deviceId}`, deviceDraft);
+      await fetchLatest();
+      // tariff / location may have changed
+      fetchEnergy();
+      fetchProjection();
+      fetchAutomations();
+      onRegistryChange?.();
+      setDeviceOpen(false);
+    } catch (e) {
+      setError(e?.response?.data?.error || "Device settings save failed.");
+    } finally {
+      setDeviceBusy(false);
+    }
+  }
+
+  async function claimDevice(claimCode, owner) {
+    try {
+      setDeviceBusy(true);
+      setError("");
+      await axios.post(`${API_BASE}/api/devices/claim`, { claimCode, owner });
+      await fetchLatest();
+      onRegistryChange?.();
+    } catch (e) {
+      setError(e?.response?.data?.error || "Device claim failed.");
+    } finally {
+      setDeviceBusy(false);
+    }
+  }
+
   async function cancelCutoff(ch) {
     try {
       setLoadingRelay(true);
       setError("");
 
-      await axios.delete(`${API_BASE}/api/cutoff/${DEVICE_ID}/${ch}`);
+      await axios.delete(`${API_BASE}/api/cutoff/${deviceId}/${ch}`);
 
       // refresh from backend
       setEditingCutoffCh(null);
@@ -1387,11 +6131,105 @@ export default function App() {
     fetchHistory();
     fetchAutomations();
     fetchFault();
+    fetchConnectivity();
+    fetchProjection();
+    fetchPrepaid();
+    fetchRules();
+    fetchScenes();
+    fetchWebhooks();
+
+    const socket = io(API_BASE, { query: { deviceId } });
+
+    socket.on("connect", () => {
+      liveRef.current = true;
+      setLive(true);
+      // catch up on anything missed while disconnected
+      fetchLatest();
+      fetchAutomations();
+      fetchFault();
+    });
+    socket.on("disconnect", () => {
+      liveRef.current = false;
+      setLive(false);
+    });
+
+    socket.on("telemetry", (doc) => {
+      setLatest(doc);
+      setDevice((d) =>
+        d
+          ? {
+              ...d,
+              lastSeen: Math.floor(Date.now() / 1000),
+              relay: doc.relay ?? d.relay,
+            }
+          : d,
+      );
+      appendHistoryPoint(doc);
+    });
+    socket.on("relay", ({ relay }) => {
+      setLatest((l) => (l ? { ...l, relay } : l));
+      setDevice((d) => (d ? { ...d, relay } : d));
+    });
+    socket.on("presence", () => {
+      fetchLatest();
+      fetchConnectivity();
+    });
+    socket.on("automations", applyAutomations);
+    socket.on("fault_event", ({ event }) => {
+      setFaultUnread((c) => c + 1);
+      if (inboxMatches(event, inboxFilterRef.current)) {
+        setFaultEvents((prev) => [event, ...prev]);
+      }
+    });
+    socket.on("fault_unread", ({ unreadCount }) =>
+      setFaultUnread(unreadCount || 0),
+    );
+    socket.on("fault_state", ({ latched, channels }) => {
+      setFaultLatched(!!latched);
+      setFaultChannelLatches(channels || []);
+    });
+    socket.on("prepaid", ({ account }) =>
+      setPrepaid((prev) =>
+        prev.some((a) => a._id === account._id)
+          ? prev.map((a) => (a._id === account._id ? account : a))
+          : [...prev, account],
+      ),
+    );
+    socket.on("rule_fired", fetchRules);
+    socket.on("scene_run", ({ run }) =>
+      setSceneRuns((prev) =>
+        prev.some((r) => r._id === run._id)
+          ? prev.map((r) => (r._id === run._id ? run : r))
+          : [run, ...prev],
+      ),
+    );
 
-    const t = setInterval(fetchLatest, 2000);
-    const h = setInterval(fetchHistory, 8000);
-    const a = setInterval(fetchAutomations, 10000);
-    const tr = setInterval(fetchFault, 12000);
+    // Fallback polling (skipped while the socket is up). A slow resync still
+    // runs when live so device freshness/bucketed history don't drift.
+    const poll = (fn) => () => {
+      if (!liveRef.current) fn();
+    };
+    const t = setInterval(poll(fetchLatest), 2000);
+    const h = setInterval(poll(fetchHistory), 8000);
+    const a = setInterval(poll(fetchAutomations), 10000);
+    const tr = setInterval(poll(fetchFault), 12000);
+    const cn = setInterval(poll(fetchConnectivity), 15000);
+    const en = setInterval(poll(fetchEnergy), 60000);
+    const pj = setInterval(poll(fetchProjection), 60000);
+    const pp = setInterval(poll(fetchPrepaid), 15000);
+    const ru = setInterval(poll(fetchRules), 15000);
+    const sc = setInterval(poll(fetchScenes), 15000);
+    const rs = setInterval(() => {
+      if (!liveRef.current) return;
+      fetchLatest();
+      fetchHistory();
+      fetchConnectivity();
+      fetchEnergy();
+      fetchProjection();
+      fetchPrepaid();
+      fetchRules();
+      fetchScenes();
+    }, 60000);
     const k = setInterval(() => setTick((x) => x + 1), 1000);
 
     return () => {
@@ -1399,16 +6237,37 @@ export default function App() {
       clearInterval(h);
       clearInterval(a);
       clearInterval(tr);
+      clearInterval(cn);
+      clearInterval(en);
+      clearInterval(pj);
+      clearInterval(pp);
+      clearInterval(ru);
+      clearInterval(sc);
+      clearInterval(rs);
       clearInterval(k);
+      socket.disconnect();
     };
-  }, []);
-
+  }, [
+    deviceId,
+    appendHistoryPoint,
+    applyAutomations,
+    fetchAutomations,
+    fetchConnectivity,
+    fetchEnergy,
+    fetchFault,
+    fetchHistory,
+    fetchLatest,
+    fetchPrepaid,
+    fetchProjection,
+    fetchRules,
+    fetchScenes,
+    fetchWebhooks,
+  ]);
+
+  // (Re)load the inbox whenever it is opened or its filters change
   useEffect(() => {
-    function onDocClick(e) {
-      if (!notifOpen) return;
-    }
-    return () => document.removeEventListener("mousedown", onDocClick);
-  }, [notifOpen]);
+    if (notifOpen) fetchInbox();
+  }, [notifOpen, inboxFilter, fetchInbox]);
 
   // Relay array is now [relay1State, relay3State]
   const relayArr = latest?.relay || device?.relay || [0, 0];
@@ -1454,6 +6313,8 @@ export default function App() {
   const rssi = typeof latest?.rssi === "number" ? latest.rssi : null;
 
   const disabled = loadingRelay || !online;
+  const anyFaultLatched =
+    faultLatched || faultChannelLatches.some((c) => c.latched);
 
   // timer remaining (backend endAt)
   function timerRemainingSec(ch) {
@@ -1464,6 +6325,11 @@ export default function App() {
     return Math.max(0, rem);
   }
 
+  const label1 = channelLabel(device, 1);
+  const label3 = channelLabel(device, 3);
+  const icon1 = channelIcon(device, 1);
+  const icon3 = channelIcon(device, 3);
+
   // time series
   const series = useMemo(() => {
     return (history || []).map((row) => ({
@@ -1490,21 +6356,21 @@ export default function App() {
 
     if (chartMode === "voltage") {
       return [
-        { name: "Load-1", value: avg("v1") },
-        { name: "Load-2", value: avg("v3") },
+        { name: label1, value: avg("v1") },
+        { name: label3, value: avg("v3") },
       ];
     }
     if (chartMode === "current") {
       return [
-        { name: "Load-1", value: avg("i1") },
-        { name: "Load-2", value: avg("i3") },
+        { name: label1, value: avg("i1") },
+        { name: label3, value: avg("i3") },
       ];
     }
     return [
-      { name: "Load-1", value: avg("p1") },
-      { name: "Load-2", value: avg("p3") },
+      { name: label1, value: avg("p1") },
+      { name: label3, value: avg("p3") },
     ];
-  }, [series, chartMode]);
+  }, [series, chartMode, label1, label3]);
 
   const energyPie = useMemo(() => {
     if (series.length < 2) return [];
@@ -1529,10 +6395,10 @@ export default function App() {
     if (e1 <= 0 && e3 <= 0) return [];
 
     return [
-      { name: "Load-1", value: e1 },
-      { name: "Load-2", value: e3 },
+      { name: label1, value: e1 },
+      { name: label3, value: e3 },
     ];
-  }, [series]);
+  }, [series, label1, label3]);
 
   const yKey =
     chartMode === "voltage"
@@ -1558,11 +6424,29 @@ export default function App() {
         <div>
           <h1 className="title">GridSense: Smart Energy Automation</h1>
           <div className="subtitle">
-            Device <b>{DEVICE_ID}</b> via backend <b>{API_BASE}</b>
+            Device <b>{device?.name || deviceId}</b>
+            {device?.name ? <> ({deviceId})</> : null}
+            {device?.location ? <> @ {device.location}</> : null} via backend{" "}
+            <b>{API_BASE}</b>
           </div>
         </div>
 
         <div className="pillRow">
+          {devices.length > 1 ? (
+            <select
+              className="select"
+              value={deviceId}
+              onChange={(e) => onSelectDevice(e.target.value)}
+              title="Select device"
+            >
+              {devices.map((d) => (
+                <option key={d.deviceId} value={d.deviceId}>
+                  {d.name || d.deviceId}
+                </option>
+              ))}
+            </select>
+          ) : null}
+
           <div className="pill">
             Status: <b>{online ? "ONLINE" : "OFFLINE"}</b>
           </div>
@@ -1574,20 +6458,21 @@ export default function App() {
             Refresh
           </button>
 
+          <button className="btn" onClick={openDeviceSettings} type="button">
+            Device
+          </button>
+
+          <button className="btn" onClick={openNotifySettings} type="button">
+            Notifications
+          </button>
+
           <button
             className="btn"
             type="button"
             onClick={async () => {
               const s = await fetchFault();
 
-              setFaultDraft({
-                vMin: s?.vMin ?? "",
-                vMax: s?.vMax ?? "",
-                iMin: s?.iMin ?? "",
-                iMax: s?.iMax ?? "",
-                pMin: s?.pMin ?? "",
-                pMax: s?.pMax ?? "",
-              });
+              setFaultDraft(faultDraftFrom(s));
 
               setEditingFault(false);
               setFaultOpen(true);
@@ -1598,21 +6483,38 @@ export default function App() {
 
           <div className="notifWrap">
             <button
-              className={`iconBtn ${faultLatched ? "warn" : ""}`}
+              className={`iconBtn ${anyFaultLatched ? "warn" : ""}`}
               type="button"
               onClick={() => setNotifOpen((s) => !s)}
               title="Fault notifications"
             >
               <BellIcon size={26} />
-              {faultLatched ? <span className="notifDot" /> : null}
+              {anyFaultLatched ? <span className="notifDot" /> : null}
+              {faultUnread ? (
+                <span className="notifCount">
+                  {faultUnread > 99 ? "99+" : faultUnread}
+                </span>
+              ) : null}
             </button>
 
             <FaultNotificationsPanel
               open={notifOpen}
               onClose={() => setNotifOpen(false)}
               events={faultEvents}
+              unreadCount={faultUnread}
+              filter={inboxFilter}
+              setFilter={setInboxFilter}
+              operator={operator}
+              setOperator={setOperator}
+              hasMore={!!inboxCursor}
+              loading={inboxLoading}
+              onLoadMore={() => fetchInbox(inboxCursor)}
+              onMarkAllRead={markAllFaultRead}
+              onToggleRead={toggleFaultRead}
+              onAck={ackFaultEvent}
               onDeleteEvent={deleteFaultEvent}
               onDeleteAll={deleteAllFaultEvents}
+              onOpenForensics={openForensics}
             />
           </div>
 
@@ -1648,7 +6550,9 @@ export default function App() {
             <div className={`dot ${online ? "good" : ""}`} />
             <div>
               <div className="cardTitle">Overview</div>
-              <div className="small">Auto refresh every 2 seconds</div>
+              <div className="small">
+                {live ? "Live updates" : "Auto refresh every 2 seconds"}
+              </div>
             </div>
           </div>
           <div className="actions">
@@ -1662,7 +6566,7 @@ export default function App() {
             </a>
             <a
               className="btn"
-              href={`${API_BASE}/api/latest/${DEVICE_ID}`}
+              href={`${API_BASE}/api/latest/${deviceId}`}
               target="_blank"
               rel="noreferrer"
             >
@@ -1693,11 +6597,39 @@ export default function App() {
             }
           />
           <Stat label="RSSI" value={rssi != null ? `${rssi} dBm` : "—"} />
+          <Stat
+            label="Cycle to date"
+            value={
+              projection
+                ? `${clampNum(projection.monthToDate.total, 2)} kWh`
+                : "—"
+            }
+            hint={
+              projection?.monthToDate?.cost
+                ? `${projection.monthToDate.cost.currency} ${projection.monthToDate.cost.total.toFixed(2)} incl. charges & VAT`
+                : undefined
+            }
+          />
+          <Stat
+            label="Projected (cycle end)"
+            value={
+              projection ? `${clampNum(projection.projected.kWh, 1)} kWh` : "—"
+            }
+            hint={
+              projection
+                ? projection.projected.cost
+                  ? `${projection.projected.cost.currency} ${projection.projected.cost.total.toFixed(0)} (${projection.projected.cost.low.toFixed(0)}–${projection.projected.cost.high.toFixed(0)})`
+                  : `${clampNum(projection.projected.low, 1)}–${clampNum(projection.projected.high, 1)} kWh, ${Math.ceil(projection.cycle.remainingDays)} days left`
+                : undefined
+            }
+          />
         </div>
 
         <div className="loadStatsGrid">
           <div className="miniCard">
-            <div className="miniCardTitle">Load-1 (Relay-1)</div>
+            <div className="miniCardTitle">
+              {icon1} {label1} (Relay-1)
+            </div>
             <div className="miniRow">
               <div className="kv">
                 <span>Vrms</span>
@@ -1719,7 +6651,9 @@ export default function App() {
           </div>
 
           <div className="miniCard">
-            <div className="miniCardTitle">Load-2 (Relay-3)</div>
+            <div className="miniCardTitle">
+              {icon3} {label3} (Relay-3)
+            </div>
             <div className="miniRow">
               <div className="kv">
                 <span>Vrms</span>
@@ -1754,7 +6688,8 @@ export default function App() {
         <div className="loadGrid">
           <RelayCardBackend
             ch={1}
-            label="Load-1"
+            label={label1}
+            icon={icon1}
             isOn={relay1 === 1}
             disabled={disabled}
             onToggle={toggleRelay}
@@ -1768,19 +6703,9 @@ export default function App() {
             onStartTimer={startTimer}
             timerRemainingSec={timerRemainingSec(1) + tick * 0}
             onCancelTimer={cancelTimer}
-            schedule={schedulesDraft[1]}
-            setSchedule={(fn) =>
-              setSchedulesDraft((s) => ({
-                ...s,
-                1: typeof fn === "function" ? fn(s[1]) : fn,
-              }))
-            }
-            onScheduleFocus={(ch) => setEditingScheduleCh(ch)}
-            onScheduleBlur={() => setEditingScheduleCh(null)}
-            scheduleServer={schedulesServer[1]}
-            scheduleSavedAt={scheduleSavedAt[1]}
-            onApplySchedule={applySchedule}
-            onCancelSchedule={cancelSchedule}
+            schedules={schedules[1]}
+            onSaveSchedule={saveSchedule}
+            onDeleteSchedule={deleteSchedule}
             cutoff={cutoffsDraft[1]}
             setCutoff={(fn) =>
               setCutoffsDraft((c) => ({
@@ -1798,7 +6723,8 @@ export default function App() {
 
           <RelayCardBackend
             ch={3}
-            label="Load-2"
+            label={label3}
+            icon={icon3}
             isOn={relay3 === 1}
             disabled={disabled}
             onToggle={toggleRelay}
@@ -1812,19 +6738,9 @@ export default function App() {
             onStartTimer={startTimer}
             timerRemainingSec={timerRemainingSec(3) + tick * 0}
             onCancelTimer={cancelTimer}
-            schedule={schedulesDraft[3]}
-            setSchedule={(fn) =>
-              setSchedulesDraft((s) => ({
-                ...s,
-                3: typeof fn === "function" ? fn(s[3]) : fn,
-              }))
-            }
-            onScheduleFocus={(ch) => setEditingScheduleCh(ch)}
-            onScheduleBlur={() => setEditingScheduleCh(null)}
-            onApplySchedule={applySchedule}
-            scheduleServer={schedulesServer[3]}
-            scheduleSavedAt={scheduleSavedAt[3]}
-            onCancelSchedule={cancelSchedule}
+            schedules={schedules[3]}
+            onSaveSchedule={saveSchedule}
+            onDeleteSchedule={deleteSchedule}
             cutoff={cutoffsDraft[3]}
             setCutoff={(fn) =>
               setCutoffsDraft((c) => ({
@@ -1840,6 +6756,146 @@ export default function App() {
             onCancelCutoff={cancelCutoff}
           />
         </div>
+
+        <VacationPanel
+          device={device}
+          vacation={vacation}
+          disabled={loadingRelay}
+          onSave={saveVacation}
+          onDelete={deleteVacation}
+        />
+
+        <LoadShedPanel
+          device={device}
+          loadShed={loadShed}
+          powerW={pT}
+          disabled={loadingRelay}
+          onSave={saveLoadShed}
+          onDelete={deleteLoadShed}
+        />
+
+        <VoltageGuardPanel
+          device={device}
+          guards={voltageGuards}
+          latest={latest}
+          disabled={loadingRelay}
+          onSave={saveVoltageGuard}
+          onDelete={deleteVoltageGuard}
+        />
+      </div>
+
+      {/* Rules */}
+      <div className="card" style={{ marginTop: 14 }}>
+        <div className="cardHeader">
+          <div>
+            <div className="cardTitle">Rules</div>
+            <div className="small">
+              Trigger → conditions → actions, evaluated on the server
+            </div>
+          </div>
+          <div className="actions">
+            <button className="btn" onClick={fetchRules} type="button">
+              Reload
+            </button>
+            <button
+              className="btn"
+              onClick={() => setRuleDraft(newRuleDraft())}
+              type="button"
+            >
+              New rule
+            </button>
+          </div>
+        </div>
+
+        <RulesPanel
+          device={device}
+          scenes={scenes}
+          rules={rules}
+          logs={ruleLogs}
+          onEdit={(r) =>
+            setRuleDraft({
+              ...r,
+              conditions: r.conditions || { mode: "and", items: [] },
+            })
+          }
+          onToggle={toggleRule}
+          onRun={runRule}
+          onDelete={deleteRule}
+          busy={ruleBusy}
+        />
+      </div>
+
+      {/* Scenes */}
+      <div className="card" style={{ marginTop: 14 }}>
+        <div className="cardHeader">
+          <div>
+            <div className="cardTitle">Scenes &amp; Sequences</div>
+            <div className="small">
+              Switch several relays in one go, or step through them with waits
+            </div>
+          </div>
+          <div className="actions">
+            <button className="btn" onClick={fetchScenes} type="button">
+              Reload
+            </button>
+            <button
+              className="btn"
+              onClick={() => setSceneDraft(newSceneDraft())}
+              type="button"
+            >
+              New scene
+            </button>
+          </div>
+        </div>
+
+        <ScenesPanel
+          device={device}
+          scenes={scenes}
+          runs={sceneRuns}
+          onEdit={(sc) => setSceneDraft({ ...sc, steps: [...sc.steps] })}
+          onRun={runScene}
+          onCancel={cancelSceneRun}
+          onDelete={deleteScene}
+          busy={sceneBusy}
+        />
+      </div>
+
+      {/* Webhooks */}
+      <div className="card" style={{ marginTop: 14 }}>
+        <div className="cardHeader">
+          <div>
+            <div className="cardTitle">Webhooks</div>
+            <div className="small">
+              Send relay, fault, telemetry and presence events to your own
+              systems
+            </div>
+          </div>
+          <div className="actions">
+            <button className="btn" onClick={fetchWebhooks} type="button">
+              Reload
+            </button>
+            <button
+              className="btn"
+              onClick={() => setWebhookDraft(newWebhookDraft())}
+              type="button"
+            >
+              New webhook
+            </button>
+          </div>
+        </div>
+
+        <WebhooksPanel
+          webhooks={webhooks}
+          log={webhookLog}
+          onToggleLog={toggleWebhookLog}
+          onReloadLog={() => fetchWebhookLog(webhookLog.webhookId)}
+          onEdit={(wh) => setWebhookDraft({ ...wh, events: [...wh.events] })}
+          onTest={testWebhook}
+          onToggleEnabled={toggleWebhookEnabled}
+          onDelete={deleteWebhook}
+          onReplay={replayDelivery}
+          busy={webhookBusy}
+        />
       </div>
 
       {/* Charts */}
@@ -1892,6 +6948,14 @@ export default function App() {
             <button className="btn" onClick={fetchHistory} type="button">
               Reload
             </button>
+
+            <button
+              className="btn ghost"
+              onClick={() => setExportOpen(true)}
+              type="button"
+            >
+              Export
+            </button>
           </div>
         </div>
 
@@ -1930,7 +6994,7 @@ export default function App() {
                     <Line
                       type="monotone"
                       dataKey={yKey[0]}
-                      name="Load-1"
+                      name={label1}
                       dot={false}
                       stroke={colors.load1}
                       strokeWidth={2}
@@ -1938,7 +7002,7 @@ export default function App() {
                     <Line
                       type="monotone"
                       dataKey={yKey[1]}
-                      name="Load-2"
+                      name={label3}
                       dot={false}
                       stroke={colors.load3}
                       strokeWidth={2}
@@ -2011,6 +7075,132 @@ export default function App() {
         </div>
       </div>
 
+      {/* Energy */}
+      <div className="card" style={{ marginTop: 14 }}>
+        <div className="cardHeader">
+          <div>
+            <div className="cardTitle">Energy</div>
+            <div className="small">
+              {energy
+                ? `Consumption per ${energy.period} (${energy.tz}) — ${energy.totals.total.toFixed(3)} kWh in range${
+                    energy.cost
+                      ? ` · ${energy.cost.currency} ${energy.cost.total.toFixed(2)} (${energy.cost.tariffName})`
+                      : ""
+                  }`
+                : "Consumption per period from the reboot-safe energy totals"}
+            </div>
+          </div>
+          <div className="actions">
+            <select
+              className="select"
+              value={energyPeriod}
+              onChange={(e) => setEnergyPeriod(e.target.value)}
+            >
+              {ENERGY_PERIOD_OPTIONS.map((opt) => (
+                <option key={opt.value} value={opt.value}>
+                  {opt.label}
+                </option>
+              ))}
+            </select>
+            <button className="btn" onClick={fetchEnergy} type="button">
+              Reload
+            </button>
+          </div>
+        </div>
+
+        <div className="chartBox">
+          {!energy?.rows?.length ? (
+            <div className="small">No energy data yet.</div>
+          ) : (
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart
+                data={energy.rows.map((r) => ({
+                  ...r,
+                  name: energyTickLabel(r.key, energy.period),
+                }))}
+                margin={{ top: 10, right: 18, bottom: 0, left: 0 }}
+              >
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis width={52} />
+                <Tooltip
+                  labelFormatter={(_, items) => items?.[0]?.payload?.key ?? ""}
+                  formatter={(v, name, item) => {
+                    const kWh = `${Number(v).toFixed(3)} kWh`;
+                    const cost = item?.payload?.[`${item.dataKey}Cost`];
+                    return [
+                      cost != null && energy.cost
+                        ? `${kWh} · ${energy.cost.currency} ${cost.toFixed(2)}`
+                        : kWh,
+                      name,
+                    ];
+                  }}
+                />
+                <Legend />
+                <Bar
+                  dataKey="ch1"
+                  name={label1}
+                  stackId="energy"
+                  fill={colors.load1}
+                />
+                <Bar
+                  dataKey="ch3"
+                  name={label3}
+                  stackId="energy"
+                  fill={colors.load3}
+                />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      </div>
+
+      {/* Prepaid */}
+      <div className="card" style={{ marginTop: 14 }}>
+        <div className="cardHeader">
+          <div>
+            <div className="cardTitle">Prepaid Balance</div>
+            <div className="small">
+              Usage is deducted as telemetry arrives; relays switch OFF at zero
+            </div>
+          </div>
+          <div className="actions">
+            <button className="btn" onClick={fetchPrepaid} type="button">
+              Reload
+            </button>
+          </div>
+        </div>
+
+        <PrepaidPanel
+          device={device}
+          accounts={prepaid}
+          ledger={prepaidLedger}
+          onSave={savePrepaid}
+          onTopup={topupPrepaid}
+          onDelete={deletePrepaid}
+          busy={prepaidBusy}
+        />
+      </div>
+
+      {/* Connectivity */}
+      <div className="card" style={{ marginTop: 14 }}>
+        <div className="cardHeader">
+          <div>
+            <div className="cardTitle">Connectivity</div>
+            <div className="small">
+              Boots, reconnects, IP changes and signal strength (last 24h)
+            </div>
+          </div>
+          <div className="actions">
+            <button className="btn" onClick={fetchConnectivity} type="button">
+              Reload
+            </button>
+          </div>
+        </div>
+
+        <ConnectivityTimeline data={connectivity} />
+      </div>
+
       {/* keep tick alive for countdown refresh */}
       <div style={{ display: "none" }}>{tick}</div>
       <FaultSettingsModal
@@ -2022,12 +7212,120 @@ export default function App() {
         draft={faultDraft}
         setDraft={setFaultDraft}
         onSave={saveFaultSettings}
+        device={device}
         onResetLatch={resetFaultLatch}
         latched={faultLatched}
+        channelLatches={faultChannelLatches}
         onUserEdit={() => setEditingFault(true)}
         events={faultEvents}
         onDeleteEvent={deleteFaultEvent}
       />
+      <ForensicsModal
+        forensics={forensics}
+        device={device}
+        onClose={() => setForensics(null)}
+      />
+      <RuleEditorModal
+        open={!!ruleDraft}
+        onClose={() => setRuleDraft(null)}
+        device={device}
+        scenes={scenes}
+        draft={ruleDraft}
+        setDraft={setRuleDraft}
+        onSave={saveRule}
+        busy={ruleBusy}
+      />
+      <SceneEditorModal
+        open={!!sceneDraft}
+        onClose={() => setSceneDraft(null)}
+        device={device}
+        draft={sceneDraft}
+        setDraft={setSceneDraft}
+        onSave={saveScene}
+        busy={sceneBusy}
+      />
+      <WebhookEditorModal
+        open={!!webhookDraft}
+        onClose={() => setWebhookDraft(null)}
+        draft={webhookDraft}
+        setDraft={setWebhookDraft}
+        onSave={saveWebhook}
+        onRotateSecret={rotateWebhookSecret}
+        busy={webhookBusy}
+      />
+      <DeviceSettingsModal
+        open={deviceOpen && !!deviceDraft}
+        onClose={() => setDeviceOpen(false)}
+        deviceId={deviceId}
+        draft={deviceDraft}
+        setDraft={setDeviceDraft}
+        onSave={saveDeviceSettings}
+        owner={device?.owner || null}
+        onClaim={claimDevice}
+        busy={deviceBusy}
+        tariffs={tariffs}
+      />
+      <NotifySettingsModal
+        open={notifyOpen}
+        onClose={() => setNotifyOpen(false)}
+        config={notifyConfig}
+        prefs={notifyPrefs}
+        draft={notifyDraft}
+        setDraft={setNotifyDraft}
+        log={notifyLog}
+        busy={notifyBusy}
+        onPickUser={pickNotifyUser}
+        onSave={saveNotifyPrefs}
+        onDelete={deleteNotifyPrefs}
+        onEnablePush={enableBrowserPush}
+        onTest={() => sendNotifyNow("test")}
+        onSendDigest={() => sendNotifyNow("digest")}
+      />
+      <ExportModal
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        deviceId={deviceId}
+        timeframeMin={timeframeMin}
+      />
     </div>
   );
 }
+
+const SELECTED_DEVICE_KEY = "gridsense.deviceId";
+
+export default function App() {
+  const [devices, setDevices] = useState([]);
+  const [deviceId, setDeviceId] = useState(
+    () => localStorage.getItem(SELECTED_DEVICE_KEY) || DEVICE_ID,
+  );
+
+  // bumped whenever the registry is edited so the device list refetches
+  const [registryRev, setRegistryRev] = useState(0);
+
+  useEffect(() => {
+    axios
+      .get(`${API_BASE}/api/devices`)
+      .then((res) =>
+        setDevices(Array.isArray(res.data?.devices) ? res.data.devices : []),
+      )
+      .catch(() => {
+        // registry is optional; dashboard still works for the default device
+      });
+  }, [registryRev]);
+
+  function selectDevice(id) {
+    localStorage.setItem(SELECTED_DEVICE_KEY, id);
+    setDeviceId(id);
+  }
+
+  // key => switching device remounts the dashboard with fresh state/polling
+  return (
+    <DeviceDashboard
+      key={deviceId}
+      deviceId={deviceId}
+      devices={devices}
+      onSelectDevice={selectDevice}
+      onRegistryChange={() => setRegistryRev((x) => x + 1)}
+    />
+  );
+}